@@ -0,0 +1,472 @@
+import { AsciiProcessor } from '../core/AsciiProcessor.js';
+import { VideoEncoder } from '../core/VideoEncoder.js';
+import { DEFAULT_BANNER_OPTIONS, createBannerFrame } from '../core/Banner.js';
+import { FIGLET_FONTS, parseFiglet, loadFigletFont } from '../utils/Figlet.js';
+import { getTerminalText } from '../utils/Graphemes.js';
+import { RENDER_THEMES, RENDER_FONTS, resolveRenderStyle } from '../utils/RenderStyle.js';
+import { GRADIENT_PRESETS } from '../utils/Gradients.js';
+import { createButtonGroup, createSlider, createCheckbox, createColorInput, createSelect } from './controls.js';
+
+class BannerApp {
+    constructor() {
+        this.encoder = new VideoEncoder();
+        this.text = 'ChromaASCII';
+        this.options = {
+            ...DEFAULT_BANNER_OPTIONS,
+            gradientStops: DEFAULT_BANNER_OPTIONS.gradientStops.map((stop) => stop.slice())
+        };
+        this.renderStyle = { theme: 'classic' };
+        this.frameData = null;
+
+        // Selected font: a FIGLET_FONTS name, or 'custom' for a loaded .flf file
+        this.fontName = 'block';
+        this.font = null;
+        this.customFont = null;
+        this.customFontName = '';
+        // Bumped by every font change, so a slow load can tell it has been superseded
+        this.fontRequest = 0;
+
+        // Gradient map preset ('custom' once a stop is edited)
+        this.gradientPreset = 'vaporwave';
+
+        // Save PNG with a transparent background instead of black
+        this.exportTransparent = false;
+
+        this.elements = {
+            textArea: document.getElementById('text-area'),
+            settingsArea: document.getElementById('settings-area'),
+            adjustArea: document.getElementById('adjust-area'),
+            exportArea: document.getElementById('export-area'),
+            asciiCanvas: document.getElementById('ascii-canvas'),
+            outputStats: document.getElementById('output-stats'),
+            statusBar: document.getElementById('status-bar')
+        };
+
+        this.canvas = this.elements.asciiCanvas;
+        this.ctx = this.canvas.getContext('2d', { alpha: false });
+
+        this.fontInput = document.createElement('input');
+        this.fontInput.type = 'file';
+        this.fontInput.accept = '.flf';
+        this.fontInput.hidden = true;
+        document.body.appendChild(this.fontInput);
+    }
+
+    init() {
+        this.renderTextInput();
+        this.renderControls();
+        this.fontInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadFontFile(file);
+            e.target.value = '';
+        });
+        this.selectFont(this.fontName);
+        console.log('Banner App initialized');
+    }
+
+    async selectFont(name) {
+        const request = ++this.fontRequest;
+        if (name === 'custom') {
+            if (!this.customFont) return;
+            this.fontName = name;
+            this.font = this.customFont;
+            this.render();
+            return;
+        }
+
+        this.elements.statusBar.textContent = 'Loading font...';
+        try {
+            const font = await loadFigletFont(name);
+            if (request !== this.fontRequest) return;
+            this.fontName = name;
+            this.font = font;
+            this.elements.statusBar.textContent = `Font: ${FIGLET_FONTS[name].label}`;
+            this.render();
+        } catch (e) {
+            if (request !== this.fontRequest) return;
+            console.error(e);
+            alert('Font load failed: ' + e.message);
+            this.elements.statusBar.textContent = 'Ready';
+        }
+        this.renderControls();
+    }
+
+    async loadFontFile(file) {
+        const request = ++this.fontRequest;
+        try {
+            const font = parseFiglet(await file.text());
+            if (request !== this.fontRequest) return;
+            this.customFont = font;
+            this.customFontName = file.name.replace(/\.flf$/i, '');
+            this.fontName = 'custom';
+            this.font = this.customFont;
+            this.elements.statusBar.textContent = `Font: ${file.name}`;
+            this.render();
+        } catch (e) {
+            console.error(e);
+            alert('Font load failed: ' + e.message);
+        }
+        this.renderControls();
+    }
+
+    render() {
+        if (!this.font) return;
+        this.frameData = createBannerFrame(this.text, this.font, this.options);
+        AsciiProcessor.drawFrame(this.ctx, this.frameData, { style: this.renderStyle });
+        this.elements.outputStats.textContent = `${this.frameData.width}x${this.frameData.height}`;
+    }
+
+    // Built once: re-rendering the controls would take the caret out of the text box.
+    renderTextInput() {
+        const section = document.createElement('div');
+        section.className = 'control-group';
+        section.innerHTML = '<h4>Text</h4>';
+
+        const input = document.createElement('textarea');
+        input.value = this.text;
+        input.rows = 3;
+        input.spellcheck = false;
+        input.style.width = '100%';
+        input.style.resize = 'vertical';
+        input.style.fontFamily = '"JetBrains Mono", monospace';
+        input.addEventListener('input', (e) => {
+            this.text = e.target.value;
+            this.render();
+        });
+        section.appendChild(input);
+
+        this.elements.textArea.appendChild(section);
+    }
+
+    renderControls() {
+        const { settingsArea, adjustArea, exportArea } = this.elements;
+        if (!settingsArea || !adjustArea || !exportArea) return;
+
+        settingsArea.innerHTML = '';
+        adjustArea.innerHTML = '';
+        exportArea.innerHTML = '';
+
+        const opts = this.options;
+
+        // --- Font (Col 1) ---
+        const fontSection = document.createElement('div');
+        fontSection.className = 'control-group';
+        fontSection.innerHTML = '<h4>Font</h4>';
+
+        const fontOptions = Object.entries(FIGLET_FONTS).map(([value, font]) => ({ value, label: font.label }));
+        if (this.customFont) fontOptions.push({ value: 'custom', label: this.customFontName || 'Custom' });
+        createSelect(fontSection, 'banner-font', 'Font', fontOptions, this.fontName, (v) => this.selectFont(v));
+
+        const loadBtn = document.createElement('button');
+        loadBtn.textContent = '📂 Load .flf Font';
+        loadBtn.style.marginBottom = '14px';
+        loadBtn.onclick = () => this.fontInput.click();
+        fontSection.appendChild(loadBtn);
+
+        createButtonGroup(fontSection, 'layout-grp', 'Layout', [
+            { value: 'default', label: 'Font' },
+            { value: 'full', label: 'Full' },
+            { value: 'fitted', label: 'Fit' },
+            { value: 'smush', label: 'Smush' },
+            { value: 'universal', label: 'Univ' }
+        ], opts.layout, (v) => { opts.layout = v; this.render(); });
+        createSlider(fontSection, 'padding', 'Padding', 0, 8, opts.padding, 1, (v) => { opts.padding = v; this.render(); });
+        createSlider(fontSection, 'size', 'Size', 4, 32, opts.charSize, 1, (v) => { opts.charSize = v; this.render(); });
+
+        settingsArea.appendChild(fontSection);
+
+        // --- Colour (Col 1) ---
+        const isMono = opts.colorMode === 'mono' || opts.colorMode === 'rainbow';
+        const isGradient = opts.colorMode === 'gradient' || opts.colorMode === 'duotone';
+
+        const colorSection = document.createElement('div');
+        colorSection.className = 'control-group';
+        colorSection.innerHTML = '<h4>Color</h4>';
+
+        createButtonGroup(colorSection, 'color-grp', 'Color Palette', [
+            { value: 'color', label: 'Color' },
+            { value: 'mono', label: 'Mono' },
+            { value: 'rainbow', label: 'Rain' },
+            { value: 'gradient', label: 'Grad' },
+            { value: 'duotone', label: 'Duo' }
+        ], opts.colorMode, (v) => {
+            opts.colorMode = v;
+            this.render();
+            this.renderControls();
+        });
+
+        if (opts.colorMode === 'color') {
+            createColorInput(colorSection, 'banner-color', 'Text Color', opts.color, (v) => { opts.color = v; this.render(); });
+        }
+
+        createButtonGroup(colorSection, 'depth-grp', 'Bit Depth', [
+            { value: '4', label: '4-bit' },
+            { value: '8', label: '8-bit' },
+            { value: '12', label: '12-bit' }
+        ], opts.colorDepth.toString(), (v) => { opts.colorDepth = parseInt(v); this.render(); }, isMono || (!isGradient && opts.palette !== 'none'));
+
+        this.renderPaletteControls(colorSection, isMono || isGradient);
+
+        if (isGradient) {
+            createButtonGroup(colorSection, 'direction-grp', 'Direction', [
+                { value: 'horizontal', label: 'Across' },
+                { value: 'vertical', label: 'Down' },
+                { value: 'diagonal', label: 'Diagonal' }
+            ], opts.gradientDirection, (v) => { opts.gradientDirection = v; this.render(); });
+        }
+
+        settingsArea.appendChild(colorSection);
+        if (isGradient) this.renderGradientControls(settingsArea);
+
+        // --- Export (Col 2 Top) ---
+        const exportSection = document.createElement('div');
+        exportSection.className = 'control-group';
+        exportSection.innerHTML = '<h4>Export</h4>';
+
+        const downloadPngBtn = document.createElement('button');
+        downloadPngBtn.textContent = '📥 Save PNG';
+        downloadPngBtn.className = 'primary';
+        downloadPngBtn.onclick = () => this.downloadAsPng();
+        exportSection.appendChild(downloadPngBtn);
+        createCheckbox(exportSection, 'png-transparent', 'Transparent background', this.exportTransparent, (v) => { this.exportTransparent = v; });
+
+        const encodeBtn = document.createElement('button');
+        encodeBtn.textContent = '💾 Save .ascv';
+        encodeBtn.style.marginTop = '8px';
+        encodeBtn.onclick = () => this.encodeBanner();
+        exportSection.appendChild(encodeBtn);
+
+        const saveTextBtn = document.createElement('button');
+        saveTextBtn.textContent = '📄 Save .txt';
+        saveTextBtn.style.marginTop = '8px';
+        saveTextBtn.onclick = () => this.downloadAsText();
+        exportSection.appendChild(saveTextBtn);
+
+        const copyTextBtn = document.createElement('button');
+        copyTextBtn.textContent = '📋 Copy as Text';
+        copyTextBtn.style.marginTop = '8px';
+        copyTextBtn.onclick = () => this.copyAsText();
+        exportSection.appendChild(copyTextBtn);
+
+        exportArea.appendChild(exportSection);
+
+        // --- Render Style (Col 2 Bottom) ---
+        this.renderStyleControls(adjustArea);
+    }
+
+    renderPaletteControls(parent, disabled) {
+        const opts = this.options;
+
+        // Adaptive palettes need a source image, so banners only get the fixed ones.
+        createSelect(parent, 'palette', 'Palette', [
+            { value: 'none', label: 'Bit Depth' },
+            { value: 'ansi16', label: 'ANSI 16' },
+            { value: 'xterm256', label: 'xterm 256' },
+            { value: 'cga', label: 'CGA' },
+            { value: 'ega', label: 'EGA' },
+            { value: 'ega64', label: 'EGA 64' },
+            { value: 'gameboy', label: 'Game Boy' },
+            { value: 'pico8', label: 'PICO-8' },
+            { value: 'custom', label: 'Custom' }
+        ], opts.palette, (v) => { opts.palette = v; this.render(); this.renderControls(); }, disabled);
+
+        if (disabled || opts.palette === 'none') return;
+
+        if (opts.palette === 'custom') {
+            const div = document.createElement('div');
+            div.className = 'control-item';
+            div.innerHTML = '<label>Hex Colors</label>';
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = '#000000, #ff0000, #ffffff';
+            input.value = opts.customPalette;
+            input.style.width = '100%';
+            input.addEventListener('change', (e) => { opts.customPalette = e.target.value; this.render(); });
+            div.appendChild(input);
+            parent.appendChild(div);
+        }
+    }
+
+    renderGradientControls(parent) {
+        const opts = this.options;
+        const duotone = opts.colorMode === 'duotone';
+        const stops = opts.gradientStops;
+        const onStopsChange = () => {
+            this.gradientPreset = 'custom';
+            this.render();
+            updatePreview();
+        };
+
+        const section = document.createElement('div');
+        section.className = 'control-group';
+        section.innerHTML = duotone ? '<h4>Duotone</h4>' : '<h4>Gradient Map</h4>';
+
+        createSelect(section, 'gradient-preset', 'Preset', [
+            ...Object.keys(GRADIENT_PRESETS).map((name) => ({ value: name, label: name[0].toUpperCase() + name.slice(1) })),
+            { value: 'custom', label: 'Custom' }
+        ], this.gradientPreset, (v) => {
+            if (!GRADIENT_PRESETS[v]) return;
+            this.gradientPreset = v;
+            opts.gradientStops = GRADIENT_PRESETS[v].map((stop) => stop.slice());
+            this.render();
+            this.renderControls();
+        });
+
+        // Start to end of the banner, in OKLab like the frame builder blends
+        const preview = document.createElement('div');
+        preview.style.height = '14px';
+        preview.style.margin = '8px 0';
+        preview.style.borderRadius = '3px';
+        const updatePreview = () => {
+            const sorted = stops.slice().sort((a, b) => a[0] - b[0]);
+            const list = duotone ? [[0, sorted[0][1]], [255, sorted[sorted.length - 1][1]]] : sorted;
+            preview.style.background = `linear-gradient(in oklab to right, ${list.map(([pos, color]) => `${color} ${(pos / 2.55).toFixed(1)}%`).join(', ')})`;
+        };
+        updatePreview();
+        section.appendChild(preview);
+
+        if (duotone) {
+            const first = stops.reduce((a, b) => (b[0] < a[0] ? b : a));
+            const last = stops.reduce((a, b) => (b[0] >= a[0] ? b : a));
+            createColorInput(section, 'duotone-start', 'Start', first[1], (v) => { first[1] = v; onStopsChange(); });
+            createColorInput(section, 'duotone-end', 'End', last[1], (v) => { last[1] = v; onStopsChange(); });
+        } else {
+            stops.forEach((stop, i) => {
+                createColorInput(section, `gradient-stop-${i}-color`, `Stop ${i + 1}`, stop[1], (v) => { stop[1] = v; onStopsChange(); });
+                createSlider(section, `gradient-stop-${i}-pos`, 'Position', 0, 255, stop[0], 1, (v) => { stop[0] = v; onStopsChange(); });
+                if (stops.length > 2) {
+                    const removeBtn = document.createElement('button');
+                    removeBtn.className = 'group-btn';
+                    removeBtn.textContent = '✕ Remove';
+                    removeBtn.onclick = () => { stops.splice(i, 1); onStopsChange(); this.renderControls(); };
+                    section.appendChild(removeBtn);
+                }
+            });
+
+            const addBtn = document.createElement('button');
+            addBtn.textContent = '+ Add Stop';
+            addBtn.style.marginTop = '8px';
+            addBtn.onclick = () => {
+                // Split the widest gap between neighbouring stops
+                const sorted = stops.slice().sort((a, b) => a[0] - b[0]);
+                let at = 0;
+                for (let i = 1; i < sorted.length - 1; i++) {
+                    if (sorted[i + 1][0] - sorted[i][0] > sorted[at + 1][0] - sorted[at][0]) at = i;
+                }
+                stops.push([Math.round((sorted[at][0] + sorted[at + 1][0]) / 2), sorted[at][1]]);
+                onStopsChange();
+                this.renderControls();
+            };
+            section.appendChild(addBtn);
+        }
+
+        parent.appendChild(section);
+    }
+
+    renderStyleControls(parent) {
+        const style = this.renderStyle;
+        const resolved = resolveRenderStyle(style);
+
+        const section = document.createElement('div');
+        section.className = 'control-group';
+        section.innerHTML = '<h4>Render Style</h4>';
+
+        createSelect(section, 'style-theme', 'Theme',
+            Object.entries(RENDER_THEMES).map(([value, theme]) => ({ value, label: theme.label })),
+            resolved.theme, (v) => {
+                // Custom colours belong to the old theme
+                style.theme = v;
+                delete style.background;
+                delete style.foreground;
+                this.render();
+                this.renderControls();
+            });
+        createSelect(section, 'style-font', 'Font', RENDER_FONTS, resolved.fontFamily, (v) => { style.fontFamily = v; this.render(); });
+        createButtonGroup(section, 'style-weight-grp', 'Weight', [
+            { value: 'normal', label: 'Normal' },
+            { value: 'bold', label: 'Bold' }
+        ], resolved.fontWeight, (v) => { style.fontWeight = v; this.render(); });
+        createSlider(section, 'style-spacing', 'Letter Spacing (em)', -0.2, 0.5, resolved.letterSpacing, 0.01, (v) => { style.letterSpacing = v; this.render(); });
+        createSlider(section, 'style-line-height', 'Line Height', 0.8, 2, resolved.lineHeight, 0.05, (v) => { style.lineHeight = v; this.render(); });
+        createColorInput(section, 'style-bg', 'Background', resolved.background, (v) => { style.background = v; this.render(); });
+        createColorInput(section, 'style-fg', 'Mono Foreground', resolved.foreground, (v) => { style.foreground = v; this.render(); });
+
+        parent.appendChild(section);
+    }
+
+    // Canvas to save as PNG: the preview canvas, or the banner re-rendered with a transparent
+    // background (the preview canvas is opaque).
+    getPngCanvas() {
+        if (!this.exportTransparent) return this.canvas;
+        const out = document.createElement('canvas');
+        AsciiProcessor.drawFrame(out.getContext('2d'), this.frameData, { transparent: true, style: this.renderStyle });
+        return out;
+    }
+
+    downloadAsPng() {
+        if (!this.frameData) return;
+
+        const link = document.createElement('a');
+        link.download = `ascii-banner-${Date.now()}.png`;
+        link.href = this.getPngCanvas().toDataURL('image/png');
+        link.click();
+        this.elements.statusBar.textContent = 'PNG downloaded!';
+    }
+
+    // Banner rows as plain text, without the trailing spaces the grid pads them with.
+    getBannerText() {
+        return getTerminalText(this.frameData).replace(/ +$/gm, '');
+    }
+
+    downloadAsText() {
+        if (!this.frameData) return;
+
+        const blob = new Blob([this.getBannerText()], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `ascii-banner-${Date.now()}.txt`;
+        a.click();
+        this.elements.statusBar.textContent = 'Text downloaded!';
+    }
+
+    async copyAsText() {
+        if (!this.frameData) return;
+        const text = this.getBannerText();
+
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch {
+            const ta = document.createElement('textarea');
+            ta.value = text;
+            ta.style.position = 'fixed';
+            ta.style.left = '-9999px';
+            document.body.appendChild(ta);
+            ta.select();
+            document.execCommand('copy');
+            document.body.removeChild(ta);
+        }
+        this.elements.statusBar.textContent = 'Banner text copied to clipboard!';
+    }
+
+    async encodeBanner() {
+        if (!this.frameData) return;
+
+        this.elements.statusBar.textContent = 'Encoding...';
+        this.encoder.start({ renderStyle: this.renderStyle });
+        this.encoder.addFrame(this.frameData, 0);
+
+        const blob = await this.encoder.stopAndSave();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `ascii-banner-${Date.now()}.ascv.gz`;
+        a.click();
+
+        this.elements.statusBar.textContent = 'Banner encoded and saved!';
+    }
+}
+
+// Initialize
+const app = new BannerApp();
+app.init();
@@ -0,0 +1,659 @@
+// Control builders shared by the image, video and banner pages: the basic inputs, the editors for
+// a processor's options (ProcessorControls) and the playback effect stack.
+
+import { CHARSET_PRESETS, sortCharsetByDensity } from '../utils/Charsets.js';
+import { measureGlyphDensity } from '../utils/GlyphMetrics.js';
+import { toGlyphs } from '../utils/Graphemes.js';
+import { FILTERS, createFilterStep } from '../utils/Filters.js';
+import { createDefaultCurves, buildCurveLut } from '../utils/ToneCurve.js';
+import { RENDER_THEMES, RENDER_FONTS, resolveRenderStyle } from '../utils/RenderStyle.js';
+import { GRADIENT_PRESETS } from '../utils/Gradients.js';
+import { EFFECTS, createEffectStep } from '../utils/Effects.js';
+
+export function createButtonGroup(parent, id, label, options, currentVal, onChange, disabled = false) {
+    const div = document.createElement('div');
+    div.className = 'control-item';
+    div.innerHTML = `<label>${label}</label>`;
+
+    const group = document.createElement('div');
+    group.className = 'button-group';
+    if (disabled) group.style.opacity = '0.5';
+
+    options.forEach(opt => {
+        const btn = document.createElement('button');
+        btn.className = `group-btn ${opt.value === currentVal ? 'active' : ''}`;
+        btn.textContent = opt.label;
+        btn.disabled = disabled;
+        btn.onclick = () => {
+            if (btn.classList.contains('active')) return;
+            group.querySelectorAll('.group-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            onChange(opt.value);
+        };
+        group.appendChild(btn);
+    });
+
+    div.appendChild(group);
+    parent.appendChild(div);
+}
+
+export function createSlider(parent, id, label, min, max, val, step, onChange) {
+    const div = document.createElement('div');
+    div.className = 'control-item';
+    div.innerHTML = `
+        <label>${label} <span id="val-${id}">${val}</span></label>
+        <input type="range" min="${min}" max="${max}" step="${step}" value="${val}" id="${id}">
+    `;
+    parent.appendChild(div);
+
+    const input = div.querySelector('input');
+    input.addEventListener('input', (e) => {
+        const v = parseFloat(e.target.value);
+        div.querySelector(`#val-${id}`).textContent = v;
+        onChange(v);
+    });
+}
+
+export function createCheckbox(parent, id, label, val, onChange) {
+    const div = document.createElement('div');
+    div.className = 'control-item checkbox-item';
+    div.style.display = 'flex';
+    div.style.alignItems = 'center';
+    div.style.gap = '10px';
+    div.style.cursor = 'pointer';
+    div.style.marginTop = '10px';
+    div.innerHTML = `
+        <input type="checkbox" id="${id}" ${val ? 'checked' : ''} style="cursor: pointer; width: 18px; height: 18px; accent-color: var(--accent-primary);">
+        <label for="${id}" style="cursor: pointer; margin: 0;">${label}</label>
+    `;
+    parent.appendChild(div);
+
+    const input = div.querySelector('input');
+    input.addEventListener('change', (e) => {
+        onChange(e.target.checked);
+    });
+}
+
+export function createColorInput(parent, id, label, val, onChange) {
+    const div = document.createElement('div');
+    div.className = 'control-item';
+    div.innerHTML = `
+        <label for="${id}">${label}</label>
+        <input type="color" id="${id}" value="${val}" style="width: 100%; height: 24px; cursor: pointer;">
+    `;
+    parent.appendChild(div);
+
+    const input = div.querySelector('input');
+    input.addEventListener('input', (e) => onChange(e.target.value));
+}
+
+export function createSelect(parent, id, label, options, val, onChange, disabled = false) {
+    const div = document.createElement('div');
+    div.className = 'control-item';
+    div.innerHTML = `<label>${label}</label>`;
+
+    const sel = document.createElement('select');
+    sel.id = id;
+    sel.disabled = disabled;
+    if (disabled) sel.style.opacity = '0.5';
+    options.forEach(opt => {
+        const o = document.createElement('option');
+        o.value = opt.value;
+        o.textContent = opt.label;
+        if (opt.value === val) o.selected = true;
+        sel.appendChild(o);
+    });
+    div.appendChild(sel);
+    parent.appendChild(div);
+
+    sel.addEventListener('change', (e) => onChange(e.target.value));
+}
+
+// Editors for an AsciiProcessor's options, with the editor state that has to survive the panel
+// being rebuilt. `onChange` runs after an option changes (reprocess the source); `onRebuild` when
+// the panel layout depends on the new value (re-render the controls).
+export class ProcessorControls {
+    constructor(processor, { onChange, onRebuild }) {
+        this.processor = processor;
+        this.onChange = onChange;
+        this.onRebuild = onRebuild;
+
+        // Charset designer state
+        this.charsetPreset = 'standard';
+        this.charsetSource = CHARSET_PRESETS.standard;
+        this.charsetAutoSort = false;
+        this.charsetDedupe = true;
+        this.charsetLevels = 0;
+        this.charsetDensities = null;
+        this.charsetPreview = null;
+
+        // Gradient map preset ('custom' once a stop is edited)
+        this.gradientPreset = 'fire';
+
+        // Levels & curves editor state
+        this.curveChannel = 'master';
+        this.histogramCanvas = null;
+        this.dragPoint = null;
+    }
+
+    renderGradientControls(parent) {
+        const opts = this.processor.options;
+        const duotone = opts.colorMode === 'duotone';
+        const stops = opts.gradientStops;
+        const onStopsChange = () => {
+            this.gradientPreset = 'custom';
+            this.onChange();
+            updatePreview();
+        };
+
+        const section = document.createElement('div');
+        section.className = 'control-group';
+        section.innerHTML = duotone ? '<h4>Duotone</h4>' : '<h4>Gradient Map</h4>';
+
+        createSelect(section, 'gradient-preset', 'Preset', [
+            ...Object.keys(GRADIENT_PRESETS).map((name) => ({ value: name, label: name[0].toUpperCase() + name.slice(1) })),
+            { value: 'custom', label: 'Custom' }
+        ], this.gradientPreset, (v) => {
+            if (!GRADIENT_PRESETS[v]) return;
+            this.gradientPreset = v;
+            opts.gradientStops = GRADIENT_PRESETS[v].map((stop) => stop.slice());
+            this.onChange();
+            this.onRebuild();
+        });
+
+        // Dark to light, in OKLab like the processor blends
+        const preview = document.createElement('div');
+        preview.style.height = '14px';
+        preview.style.margin = '8px 0';
+        preview.style.borderRadius = '3px';
+        const updatePreview = () => {
+            const sorted = stops.slice().sort((a, b) => a[0] - b[0]);
+            const list = duotone ? [[0, sorted[0][1]], [255, sorted[sorted.length - 1][1]]] : sorted;
+            preview.style.background = `linear-gradient(in oklab to right, ${list.map(([pos, color]) => `${color} ${(pos / 2.55).toFixed(1)}%`).join(', ')})`;
+        };
+        updatePreview();
+        section.appendChild(preview);
+
+        if (duotone) {
+            const first = stops.reduce((a, b) => (b[0] < a[0] ? b : a));
+            const last = stops.reduce((a, b) => (b[0] >= a[0] ? b : a));
+            createColorInput(section, 'duotone-shadow', 'Shadows', first[1], (v) => { first[1] = v; onStopsChange(); });
+            createColorInput(section, 'duotone-highlight', 'Highlights', last[1], (v) => { last[1] = v; onStopsChange(); });
+        } else {
+            stops.forEach((stop, i) => {
+                createColorInput(section, `gradient-stop-${i}-color`, `Stop ${i + 1}`, stop[1], (v) => { stop[1] = v; onStopsChange(); });
+                createSlider(section, `gradient-stop-${i}-pos`, 'Position', 0, 255, stop[0], 1, (v) => { stop[0] = v; onStopsChange(); });
+                if (stops.length > 2) {
+                    const removeBtn = document.createElement('button');
+                    removeBtn.className = 'group-btn';
+                    removeBtn.textContent = '✕ Remove';
+                    removeBtn.onclick = () => { stops.splice(i, 1); onStopsChange(); this.onRebuild(); };
+                    section.appendChild(removeBtn);
+                }
+            });
+
+            const addBtn = document.createElement('button');
+            addBtn.textContent = '+ Add Stop';
+            addBtn.style.marginTop = '8px';
+            addBtn.onclick = () => {
+                // Split the widest gap between neighbouring stops
+                const sorted = stops.slice().sort((a, b) => a[0] - b[0]);
+                let at = 0;
+                for (let i = 1; i < sorted.length - 1; i++) {
+                    if (sorted[i + 1][0] - sorted[i][0] > sorted[at + 1][0] - sorted[at][0]) at = i;
+                }
+                stops.push([Math.round((sorted[at][0] + sorted[at + 1][0]) / 2), sorted[at][1]]);
+                onStopsChange();
+                this.onRebuild();
+            };
+            section.appendChild(addBtn);
+        }
+
+        parent.appendChild(section);
+    }
+
+    renderStyleControls(parent) {
+        const style = this.processor.options.renderStyle;
+        const resolved = resolveRenderStyle(style);
+        // The font decides glyph densities and the cell aspect, so re-sort the charset too.
+        const onFontChange = () => this.applyCharset();
+
+        const section = document.createElement('div');
+        section.className = 'control-group';
+        section.innerHTML = '<h4>Render Style</h4>';
+
+        createSelect(section, 'style-theme', 'Theme',
+            Object.entries(RENDER_THEMES).map(([value, theme]) => ({ value, label: theme.label })),
+            resolved.theme, (v) => {
+                // Custom colours belong to the old theme
+                style.theme = v;
+                delete style.background;
+                delete style.foreground;
+                this.onChange();
+                this.onRebuild();
+            });
+        createSelect(section, 'style-font', 'Font', RENDER_FONTS, resolved.fontFamily, (v) => { style.fontFamily = v; onFontChange(); });
+        createButtonGroup(section, 'style-weight-grp', 'Weight', [
+            { value: 'normal', label: 'Normal' },
+            { value: 'bold', label: 'Bold' }
+        ], resolved.fontWeight, (v) => { style.fontWeight = v; onFontChange(); });
+        createSlider(section, 'style-spacing', 'Letter Spacing (em)', -0.2, 0.5, resolved.letterSpacing, 0.01, (v) => { style.letterSpacing = v; this.onChange(); });
+        createSlider(section, 'style-line-height', 'Line Height', 0.8, 2, resolved.lineHeight, 0.05, (v) => { style.lineHeight = v; this.onChange(); });
+        createColorInput(section, 'style-bg', 'Background', resolved.background, (v) => { style.background = v; this.onChange(); });
+        createColorInput(section, 'style-fg', 'Mono Foreground', resolved.foreground, (v) => { style.foreground = v; this.onChange(); });
+
+        parent.appendChild(section);
+    }
+
+    renderPaletteControls(parent, disabled) {
+        const opts = this.processor.options;
+        const onPaletteChange = () => {
+            this.processor.resetPalette();
+            this.onChange();
+        };
+
+        createSelect(parent, 'palette', 'Palette', [
+            { value: 'none', label: 'Bit Depth' },
+            { value: 'ansi16', label: 'ANSI 16' },
+            { value: 'xterm256', label: 'xterm 256' },
+            { value: 'cga', label: 'CGA' },
+            { value: 'ega', label: 'EGA' },
+            { value: 'ega64', label: 'EGA 64' },
+            { value: 'gameboy', label: 'Game Boy' },
+            { value: 'pico8', label: 'PICO-8' },
+            { value: 'custom', label: 'Custom' },
+            { value: 'adaptive', label: 'Adaptive' }
+        ], opts.palette, (v) => { opts.palette = v; onPaletteChange(); this.onRebuild(); }, disabled);
+
+        if (disabled || opts.palette === 'none') return;
+
+        if (opts.palette === 'custom') {
+            const div = document.createElement('div');
+            div.className = 'control-item';
+            div.innerHTML = '<label>Hex Colors</label>';
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = '#000000, #ff0000, #ffffff';
+            input.value = opts.customPalette;
+            input.style.width = '100%';
+            input.addEventListener('change', (e) => { opts.customPalette = e.target.value; onPaletteChange(); });
+            div.appendChild(input);
+            parent.appendChild(div);
+        }
+
+        if (opts.palette === 'adaptive') {
+            createButtonGroup(parent, 'palette-algo-grp', 'Quantizer', [
+                { value: 'median-cut', label: 'Median' },
+                { value: 'kmeans', label: 'K-means' }
+            ], opts.paletteAlgorithm, (v) => { opts.paletteAlgorithm = v; onPaletteChange(); });
+            createSlider(parent, 'palette-size', 'Colors', 2, 64, opts.paletteSize, 1, (v) => { opts.paletteSize = v; onPaletteChange(); });
+        }
+
+        createCheckbox(parent, 'color-dither', 'Color Dither', opts.colorDither, (v) => { opts.colorDither = v; this.onChange(); });
+    }
+
+    renderCharsetEditor(parent) {
+        const section = document.createElement('div');
+        section.className = 'control-group';
+        section.innerHTML = '<h4>Charset</h4>';
+
+        createSelect(section, 'charset-preset', 'Preset', [
+            { value: 'standard', label: 'Standard' },
+            { value: 'detailed', label: 'Detailed' },
+            { value: 'blocks', label: 'Blocks' },
+            { value: 'digits', label: 'Digits' },
+            { value: 'katakana', label: 'Katakana' },
+            { value: 'custom', label: 'Custom' }
+        ], this.charsetPreset, (v) => {
+            this.charsetPreset = v;
+            if (v !== 'custom') this.charsetSource = CHARSET_PRESETS[v];
+            this.applyCharset();
+            this.onRebuild();
+        });
+
+        const inputDiv = document.createElement('div');
+        inputDiv.className = 'control-item';
+        inputDiv.innerHTML = '<label>Characters</label>';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = this.charsetSource;
+        input.style.width = '100%';
+        input.style.fontFamily = '"JetBrains Mono", monospace';
+        input.addEventListener('input', (e) => {
+            this.charsetPreset = 'custom';
+            this.charsetSource = e.target.value || ' ';
+            this.applyCharset();
+        });
+        inputDiv.appendChild(input);
+        section.appendChild(inputDiv);
+
+        createCheckbox(section, 'charset-sort', 'Auto-sort by density', this.charsetAutoSort, (v) => { this.charsetAutoSort = v; this.applyCharset(); });
+        // Sorting drops repeats and look-alike glyphs unless this is off
+        createCheckbox(section, 'charset-dedupe', 'Drop look-alike glyphs', this.charsetDedupe, (v) => { this.charsetDedupe = v; this.applyCharset(); });
+        createSlider(section, 'charset-levels', 'Levels (0 = all)', 0, 32, this.charsetLevels, 1, (v) => { this.charsetLevels = v; this.applyCharset(); });
+
+        this.charsetPreview = document.createElement('div');
+        this.charsetPreview.style.display = 'flex';
+        this.charsetPreview.style.flexWrap = 'wrap';
+        this.charsetPreview.style.alignItems = 'flex-end';
+        this.charsetPreview.style.gap = '2px';
+        this.charsetPreview.style.marginTop = '8px';
+        section.appendChild(this.charsetPreview);
+        this.updateCharsetPreview();
+
+        parent.appendChild(section);
+    }
+
+    applyCharset() {
+        let charset = this.charsetSource;
+        this.charsetDensities = null;
+
+        if (this.charsetAutoSort || this.charsetLevels > 1) {
+            const { fontFamily, fontWeight } = resolveRenderStyle(this.processor.options.renderStyle);
+            const sorted = sortCharsetByDensity(charset, {
+                fontFamily,
+                fontWeight,
+                charSize: this.processor.options.charSize,
+                dedupe: this.charsetDedupe,
+                levels: this.charsetLevels
+            });
+            if (sorted && sorted.charset.length > 0) {
+                charset = sorted.charset;
+                this.charsetDensities = sorted.densities;
+            }
+        }
+
+        this.processor.options.charset = charset;
+        this.updateCharsetPreview();
+        this.onChange();
+    }
+
+    updateCharsetPreview() {
+        if (!this.charsetPreview) return;
+        const glyphs = toGlyphs(this.processor.options.charset);
+        const { fontFamily, fontWeight } = resolveRenderStyle(this.processor.options.renderStyle);
+        const densities = this.charsetDensities ||
+            measureGlyphDensity(glyphs, { fontFamily, fontWeight, charSize: this.processor.options.charSize }) || [];
+
+        this.charsetPreview.innerHTML = '';
+        glyphs.forEach((glyph, i) => {
+            const cell = document.createElement('div');
+            cell.style.display = 'flex';
+            cell.style.flexDirection = 'column';
+            cell.style.alignItems = 'center';
+            cell.style.fontFamily = '"JetBrains Mono", monospace';
+            cell.style.fontSize = '11px';
+            cell.title = densities[i] !== undefined ? `${(densities[i] * 100).toFixed(0)}%` : '';
+
+            const bar = document.createElement('div');
+            bar.style.width = '8px';
+            bar.style.height = `${Math.round((densities[i] || 0) * 24) + 1}px`;
+            bar.style.background = 'var(--accent-primary)';
+
+            const label = document.createElement('span');
+            label.textContent = glyph === ' ' ? '␣' : glyph;
+
+            cell.appendChild(bar);
+            cell.appendChild(label);
+            this.charsetPreview.appendChild(cell);
+        });
+    }
+
+    renderToneEditor(parent) {
+        const opts = this.processor.options;
+        const section = document.createElement('div');
+        section.className = 'control-group';
+        section.innerHTML = '<h4>Levels &amp; Curves</h4>';
+
+        createSlider(section, 'levels-black', 'Black', 0, 254, opts.levelsBlack, 1, (v) => { opts.levelsBlack = v; this.onChange(); });
+        createSlider(section, 'levels-mid', 'Mid', 0.1, 5, opts.levelsMid, 0.05, (v) => { opts.levelsMid = v; this.onChange(); });
+        createSlider(section, 'levels-white', 'White', 1, 255, opts.levelsWhite, 1, (v) => { opts.levelsWhite = v; this.onChange(); });
+
+        createButtonGroup(section, 'curve-channel-grp', 'Curve', [
+            { value: 'master', label: 'Master' },
+            { value: 'r', label: 'R' },
+            { value: 'g', label: 'G' },
+            { value: 'b', label: 'B' }
+        ], this.curveChannel, (v) => { this.curveChannel = v; this.drawHistogram(); });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 160;
+        canvas.style.width = '100%';
+        canvas.style.marginTop = '8px';
+        canvas.style.cursor = 'crosshair';
+        canvas.style.touchAction = 'none';
+        canvas.title = 'Drag points to shape the curve. Click to add a point, double-click to remove one.';
+        section.appendChild(canvas);
+        this.histogramCanvas = canvas;
+
+        // Canvas position -> curve coordinates (0-255 both ways)
+        const toCurve = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = ((e.clientX - rect.left) / (rect.width || 1)) * 255;
+            const y = (1 - (e.clientY - rect.top) / (rect.height || 1)) * 255;
+            return [Math.round(Math.max(0, Math.min(255, x))), Math.round(Math.max(0, Math.min(255, y)))];
+        };
+        const hitPoint = (points, [x, y]) => points.findIndex(([px, py]) => Math.abs(px - x) <= 8 && Math.abs(py - y) <= 12);
+
+        canvas.addEventListener('pointerdown', (e) => {
+            const points = opts.curves[this.curveChannel];
+            const pos = toCurve(e);
+            let index = hitPoint(points, pos);
+            if (index === -1) {
+                // Points need distinct x positions
+                if (points.some(([x]) => x === pos[0])) return;
+                points.push(pos);
+                points.sort((a, b) => a[0] - b[0]);
+                index = points.indexOf(pos);
+            }
+            this.dragPoint = points[index];
+            canvas.setPointerCapture(e.pointerId);
+            this.onChange();
+            this.drawHistogram();
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.dragPoint) return;
+            const points = opts.curves[this.curveChannel];
+            const index = points.indexOf(this.dragPoint);
+            const [x, y] = toCurve(e);
+            // Keep points ordered: a point stays strictly between its neighbours, and keeps its x
+            // when they leave it no room.
+            const lo = index > 0 ? points[index - 1][0] + 1 : 0;
+            const hi = index < points.length - 1 ? points[index + 1][0] - 1 : 255;
+            if (lo <= hi) this.dragPoint[0] = Math.max(lo, Math.min(hi, x));
+            this.dragPoint[1] = y;
+            this.onChange();
+            this.drawHistogram();
+        });
+
+        const endDrag = () => { this.dragPoint = null; };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+
+        canvas.addEventListener('dblclick', (e) => {
+            const points = opts.curves[this.curveChannel];
+            const index = hitPoint(points, toCurve(e));
+            if (index > 0 && index < points.length - 1) {
+                points.splice(index, 1);
+                this.onChange();
+                this.drawHistogram();
+            }
+        });
+
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'group-btn';
+        resetBtn.style.marginTop = '8px';
+        resetBtn.textContent = 'Reset Levels & Curves';
+        resetBtn.onclick = () => {
+            opts.levelsBlack = 0;
+            opts.levelsWhite = 255;
+            opts.levelsMid = 1.0;
+            opts.curves = createDefaultCurves();
+            this.onChange();
+            this.onRebuild();
+        };
+        section.appendChild(resetBtn);
+
+        parent.appendChild(section);
+        this.drawHistogram();
+    }
+
+    // Luminance histogram of the last processed frame as it enters levels & curves, with the
+    // selected tone curve on top.
+    drawHistogram() {
+        const canvas = this.histogramCanvas;
+        if (!canvas || !canvas.isConnected) return;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+
+        const { width, height } = canvas;
+        ctx.fillStyle = '#111111';
+        ctx.fillRect(0, 0, width, height);
+
+        const frame = this.processor.currentFrameData;
+        const histogram = frame && frame.inputHistogram;
+        if (histogram) {
+            const max = Math.max(...histogram) || 1;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+            for (let i = 0; i < 256; i++) {
+                // Square-root scale so a few huge bins don't flatten the rest
+                const h = Math.sqrt(histogram[i] / max) * height;
+                ctx.fillRect((i * width) / 256, height - h, width / 256 + 0.5, h);
+            }
+        }
+
+        const color = { master: '#ffffff', r: '#ff5555', g: '#55ff55', b: '#5599ff' }[this.curveChannel];
+        const points = this.processor.options.curves[this.curveChannel];
+        const lut = buildCurveLut(points);
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let x = 0; x < 256; x++) {
+            const px = (x / 255) * width;
+            const py = height - (lut[x] / 255) * height;
+            if (x === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = color;
+        for (const [x, y] of points) {
+            ctx.beginPath();
+            ctx.arc((x / 255) * width, height - (y / 255) * height, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    renderFilterChain(parent) {
+        const section = document.createElement('div');
+        section.className = 'control-group';
+        section.innerHTML = '<h4>Filters</h4>';
+
+        const chain = this.processor.options.filters;
+        const onChainChange = () => {
+            this.onChange();
+            this.onRebuild();
+        };
+
+        chain.forEach((step, i) => {
+            const filter = FILTERS[step.type];
+            if (!filter) return;
+
+            const header = document.createElement('div');
+            header.className = 'button-group';
+            header.style.marginTop = '10px';
+            const title = document.createElement('span');
+            title.textContent = `${i + 1}. ${filter.label}`;
+            title.style.flex = '1';
+            header.appendChild(title);
+
+            const actions = [
+                { label: '▲', disabled: i === 0, run: () => chain.splice(i - 1, 0, chain.splice(i, 1)[0]) },
+                { label: '▼', disabled: i === chain.length - 1, run: () => chain.splice(i + 1, 0, chain.splice(i, 1)[0]) },
+                { label: '✕', disabled: false, run: () => chain.splice(i, 1) }
+            ];
+            actions.forEach(({ label, disabled, run }) => {
+                const btn = document.createElement('button');
+                btn.className = 'group-btn';
+                btn.textContent = label;
+                btn.disabled = disabled;
+                btn.onclick = () => { run(); onChainChange(); };
+                header.appendChild(btn);
+            });
+            section.appendChild(header);
+
+            createCheckbox(section, `filter-${i}-enabled`, 'Enabled', step.enabled !== false, (v) => { step.enabled = v; this.onChange(); });
+            filter.params.forEach((p) => {
+                const val = step.params[p.name] ?? p.default;
+                createSlider(section, `filter-${i}-${p.name}`, p.label, p.min, p.max, val, p.step, (v) => { step.params[p.name] = v; this.onChange(); });
+            });
+        });
+
+        createSelect(section, 'filter-add', 'Add Filter', [
+            { value: '', label: 'Choose…' },
+            ...Object.values(FILTERS).map((f) => ({ value: f.name, label: f.label }))
+        ], '', (v) => {
+            if (!v) return;
+            chain.push(createFilterStep(v));
+            onChainChange();
+        });
+
+        parent.appendChild(section);
+    }
+}
+
+// Editor for a playback effect stack (utils/Effects.js). Parameters are read when drawing, so only
+// changes to the stack itself or a step's Enabled box call `onChange`.
+export function renderEffectStack(parent, stack, onChange) {
+    const section = document.createElement('div');
+    section.className = 'control-group';
+    section.innerHTML = '<h4>Effects</h4>';
+
+    stack.forEach((step, i) => {
+        const effect = EFFECTS[step.type];
+        if (!effect) return;
+
+        const header = document.createElement('div');
+        header.className = 'button-group';
+        header.style.marginTop = '10px';
+        const title = document.createElement('span');
+        title.textContent = `${i + 1}. ${effect.label}`;
+        title.style.flex = '1';
+        header.appendChild(title);
+
+        const actions = [
+            { label: '▲', disabled: i === 0, run: () => stack.splice(i - 1, 0, stack.splice(i, 1)[0]) },
+            { label: '▼', disabled: i === stack.length - 1, run: () => stack.splice(i + 1, 0, stack.splice(i, 1)[0]) },
+            { label: '✕', disabled: false, run: () => stack.splice(i, 1) }
+        ];
+        actions.forEach(({ label, disabled, run }) => {
+            const btn = document.createElement('button');
+            btn.className = 'group-btn';
+            btn.textContent = label;
+            btn.disabled = disabled;
+            btn.onclick = () => { run(); onChange(); };
+            header.appendChild(btn);
+        });
+        section.appendChild(header);
+
+        createCheckbox(section, `effect-${i}-enabled`, 'Enabled', step.enabled !== false, (v) => { step.enabled = v; onChange(); });
+        effect.params.forEach((p) => {
+            const val = step.params[p.name] ?? p.default;
+            createSlider(section, `effect-${i}-${p.name}`, p.label, p.min, p.max, val, p.step, (v) => { step.params[p.name] = v; });
+        });
+    });
+
+    createSelect(section, 'effect-add', 'Add Effect', [
+        { value: '', label: 'Choose…' },
+        ...Object.values(EFFECTS).map((e) => ({ value: e.name, label: e.label }))
+    ], '', (v) => {
+        if (!v) return;
+        stack.push(createEffectStep(v));
+        onChange();
+    });
+
+    parent.appendChild(section);
+}
@@ -1,6 +1,15 @@
 import { AsciiProcessor } from '../core/AsciiProcessor.js';
 import { VideoEncoder } from '../core/VideoEncoder.js';
 import { VideoDecoder } from '../core/VideoDecoder.js';
+import { getTerminalText } from '../utils/Graphemes.js';
+import { getActiveEffects } from '../utils/Effects.js';
+import { EMOJI_SETS, getEmojiSet } from '../utils/Emoji.js';
+import { LUMINANCE_MODELS } from '../utils/Luminance.js';
+import { THRESHOLD_MATRICES } from '../utils/BayerMatrix.js';
+import {
+    ProcessorControls, renderEffectStack,
+    createButtonGroup, createSlider, createCheckbox, createSelect
+} from './controls.js';
 
 class ImageApp {
     constructor() {
@@ -11,6 +20,21 @@ class ImageApp {
         this.hasSource = false;
         this.hasDecodedData = false;
 
+        // Option editors shared with the other pages (charset designer, tone curves, ...)
+        this.controls = new ProcessorControls(this.processor, {
+            onChange: () => this.processIfReady(),
+            onRebuild: () => this.renderControls()
+        });
+
+        // Playback-time effect stack (utils/Effects.js) and the time it was last drawn at
+        this.effects = [];
+        this.effectsTime = 0;
+        this.effectsFrame = null;
+        this.effectsLoop = this.effectsLoop.bind(this);
+
+        // Save PNG with a transparent background instead of black
+        this.exportTransparent = false;
+
         this.elements = {
             dropZone: document.getElementById('drop-zone'),
             clickableSource: document.getElementById('clickable-source'),
@@ -118,9 +142,9 @@ class ImageApp {
                     this.elements.statusBar.textContent = `Loaded Image: ${meta.frameCount} frame(s)`;
 
                     // Render the first (and only) frame
-                    this.decoder.play((frame) => {
+                    this.decoder.play((frame, time) => {
                         if (frame) {
-                            AsciiProcessor.drawFrame(this.decoderCtx, frame);
+                            AsciiProcessor.drawFrame(this.decoderCtx, frame, { style: this.decoder.renderStyle, effects: this.effects, time });
                             this.updateDecoderStats(frame);
                         }
                     }, () => { });
@@ -252,7 +276,10 @@ class ImageApp {
             downloadPngBtn.className = 'primary';
             downloadPngBtn.onclick = () => this.downloadDecodedAsPng();
             expDiv.appendChild(downloadPngBtn);
+            createCheckbox(expDiv, 'png-transparent', 'Transparent background', this.exportTransparent, (v) => { this.exportTransparent = v; });
             exportArea.appendChild(expDiv);
+
+            renderEffectStack(settingsArea, this.effects, () => this.onEffectsChange());
         }
     }
 
@@ -263,52 +290,167 @@ class ImageApp {
         settingsSection.innerHTML = '<h4>General</h4>';
 
         const isMono = this.processor.options.colorMode === 'mono' || this.processor.options.colorMode === 'rainbow';
+        const isGradient = this.processor.options.colorMode === 'gradient' || this.processor.options.colorMode === 'duotone';
 
-        this.createButtonGroup(settingsSection, 'mode-grp', 'Process Mode', [
-            { value: 'grayscale', label: 'Gray' },
-            { value: 'dither', label: 'Dith' },
-            { value: 'binary', label: 'Bin' },
-            { value: 'block', label: 'Blok' }
-        ], this.processor.options.mode, (v) => { this.processor.options.mode = v; this.processIfReady(); this.renderControls(); });
+        // Every registered mode, including third-party ones (AsciiProcessor.registerMode)
+        const modeDef = AsciiProcessor.getMode(this.processor.options.mode);
+        const modeOptions = AsciiProcessor.listModes().map(({ name, label }) => ({ value: name, label }));
+        createButtonGroup(settingsSection, 'mode-grp', 'Process Mode', modeOptions, this.processor.options.mode, (v) => { this.processor.options.mode = v; this.processIfReady(); this.renderControls(); });
 
-        this.createButtonGroup(settingsSection, 'color-grp', 'Color Palette', [
+        createButtonGroup(settingsSection, 'color-grp', 'Color Palette', [
             { value: 'color', label: 'Color' },
             { value: 'mono', label: 'Mono' },
-            { value: 'rainbow', label: 'Rain' }
+            { value: 'rainbow', label: 'Rain' },
+            { value: 'gradient', label: 'Grad' },
+            { value: 'duotone', label: 'Duo' }
         ], this.processor.options.colorMode, (v) => {
             this.processor.options.colorMode = v;
             this.processIfReady();
             this.renderControls();
         });
 
-        this.createButtonGroup(settingsSection, 'depth-grp', 'Bit Depth', [
+        createButtonGroup(settingsSection, 'depth-grp', 'Bit Depth', [
             { value: '4', label: '4-bit' },
             { value: '8', label: '8-bit' },
             { value: '12', label: '12-bit' }
-        ], this.processor.options.colorDepth.toString(), (v) => { this.processor.options.colorDepth = parseInt(v); this.processIfReady(); }, isMono);
+        ], this.processor.options.colorDepth.toString(), (v) => { this.processor.options.colorDepth = parseInt(v); this.processIfReady(); }, isMono || (!isGradient && this.processor.options.palette !== 'none'));
+
+        this.controls.renderPaletteControls(settingsSection, isMono || isGradient);
 
-        if (this.processor.options.mode === 'binary' || this.processor.options.mode === 'dither') {
-            this.createSlider(settingsSection, 'threshold', 'Binary Thresh', 0, 255, this.processor.options.binaryThreshold, 1, (v) => { this.processor.options.binaryThreshold = v; this.processIfReady(); });
+        createButtonGroup(settingsSection, 'bg-grp', 'Cell Background', [
+            { value: 'none', label: 'None' },
+            { value: 'dim', label: 'Dim' }
+        ], this.processor.options.cellBackground, (v) => { this.processor.options.cellBackground = v; this.processIfReady(); this.renderControls(); }, isMono);
+
+        if (this.processor.options.cellBackground === 'dim' && !isMono) {
+            createSlider(settingsSection, 'bg-dim', 'BG Dim', 0, 1, this.processor.options.cellBackgroundDim, 0.05, (v) => { this.processor.options.cellBackgroundDim = v; this.processIfReady(); });
         }
 
-        this.createSlider(settingsSection, 'res', 'Res', 20, 500, this.processor.options.resolution, 1, (v) => { this.processor.options.resolution = v; this.processIfReady(); });
-        this.createSlider(settingsSection, 'size', 'Size', 4, 32, this.processor.options.charSize, 1, (v) => { this.processor.options.charSize = v; this.processIfReady(); });
+        if (this.processor.options.mode === 'shape') {
+            createButtonGroup(settingsSection, 'shape-grp', 'Shape Grid', [
+                { value: '3x3', label: '3x3' },
+                { value: '4x6', label: '4x6' }
+            ], this.processor.options.shapeGrid, (v) => { this.processor.options.shapeGrid = v; this.processIfReady(); });
+        }
+
+        if (this.processor.options.mode === 'edge') {
+            createButtonGroup(settingsSection, 'edge-op-grp', 'Edge Operator', [
+                { value: 'sobel', label: 'Sobel' },
+                { value: 'scharr', label: 'Scharr' }
+            ], this.processor.options.edgeOperator, (v) => { this.processor.options.edgeOperator = v; this.processIfReady(); });
+            createSlider(settingsSection, 'edge-thresh', 'Edge Thresh', 0, 255, this.processor.options.edgeThreshold, 1, (v) => { this.processor.options.edgeThreshold = v; this.processIfReady(); });
+        }
+
+        if (this.processor.options.mode === 'emoji') {
+            const { emojiSet } = this.processor.options;
+            const isPreset = typeof emojiSet === 'string' && EMOJI_SETS[emojiSet] !== undefined;
+            createSelect(settingsSection, 'emoji-set', 'Emoji Set', [
+                ...Object.keys(EMOJI_SETS).map((name) => ({ value: name, label: name[0].toUpperCase() + name.slice(1) })),
+                { value: 'custom', label: 'Custom' }
+            ], isPreset ? emojiSet : 'custom', (v) => {
+                // Custom starts from the current set
+                this.processor.options.emojiSet = v === 'custom' ? getEmojiSet(emojiSet).join('') : v;
+                this.processIfReady();
+                this.renderControls();
+            });
+
+            if (!isPreset) {
+                const inputDiv = document.createElement('div');
+                inputDiv.className = 'control-item';
+                inputDiv.innerHTML = '<label>Emoji</label>';
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = getEmojiSet(emojiSet).join('');
+                input.style.width = '100%';
+                input.addEventListener('input', (e) => {
+                    this.processor.options.emojiSet = e.target.value;
+                    this.processIfReady();
+                });
+                inputDiv.appendChild(input);
+                settingsSection.appendChild(inputDiv);
+            }
+        }
+
+        if (modeDef.usesDither) {
+            createButtonGroup(settingsSection, 'dither-grp', 'Dither', [
+                { value: 'none', label: 'None' },
+                { value: 'ordered', label: 'Bayer' },
+                { value: 'floyd-steinberg', label: 'F-S' },
+                { value: 'atkinson', label: 'Atk' },
+                { value: 'sierra', label: 'Sier' }
+            ], this.processor.options.ditherAlgorithm, (v) => { this.processor.options.ditherAlgorithm = v; this.processIfReady(); this.renderControls(); });
+
+            if (this.processor.options.ditherAlgorithm === 'ordered') {
+                createButtonGroup(settingsSection, 'matrix-grp', 'Matrix',
+                    Object.entries(THRESHOLD_MATRICES).map(([value, matrix]) => ({ value, label: matrix.label })),
+                    this.processor.options.ditherMatrix, (v) => { this.processor.options.ditherMatrix = v; this.processIfReady(); });
+            }
+
+            createSlider(settingsSection, 'threshold', 'Binary Thresh', 0, 255, this.processor.options.binaryThreshold, 1, (v) => { this.processor.options.binaryThreshold = v; this.processIfReady(); });
+        }
+
+        createSlider(settingsSection, 'res', 'Res', 20, 500, this.processor.options.resolution, 1, (v) => { this.processor.options.resolution = v; this.processIfReady(); });
+        createSlider(settingsSection, 'size', 'Size', 4, 32, this.processor.options.charSize, 1, (v) => { this.processor.options.charSize = v; this.processIfReady(); });
+        createSlider(settingsSection, 'char-aspect', 'Char Aspect (0 = font)', 0, 1.2, Number(this.processor.options.charAspect) || 0, 0.01, (v) => { this.processor.options.charAspect = v > 0 ? v : 'auto'; this.processIfReady(); });
+        createSlider(settingsSection, 'grid-cols', 'Columns (0 = Res)', 0, 400, this.processor.options.columns, 1, (v) => { this.processor.options.columns = v; this.processIfReady(); });
+        createSlider(settingsSection, 'grid-rows', 'Rows (0 = auto)', 0, 200, this.processor.options.rows, 1, (v) => { this.processor.options.rows = v; this.processIfReady(); });
+        createButtonGroup(settingsSection, 'fit-grp', 'Fit (Columns × Rows)', [
+            { value: 'fit', label: 'Fit' },
+            { value: 'fill', label: 'Fill' },
+            { value: 'stretch', label: 'Stretch' },
+            { value: 'crop', label: 'Crop' }
+        ], this.processor.options.fitMode, (v) => { this.processor.options.fitMode = v; this.processIfReady(); });
+        createButtonGroup(settingsSection, 'downsample-grp', 'Downsample', [
+            { value: 'fast', label: 'Fast' },
+            { value: 'box', label: 'Box' },
+            { value: 'lanczos', label: 'Lanczos' }
+        ], this.processor.options.downsample, (v) => { this.processor.options.downsample = v; this.processIfReady(); });
 
         settingsArea.appendChild(settingsSection);
+        if (isGradient) this.controls.renderGradientControls(settingsArea);
+        this.controls.renderStyleControls(settingsArea);
 
         // --- Adjust (Col 2 Bottom) ---
         const adjustSection = document.createElement('div');
         adjustSection.className = 'control-group';
         adjustSection.innerHTML = '<h4>Adjust</h4>';
 
-        this.createSlider(adjustSection, 'contrast', 'Contrast', -100, 100, this.processor.options.contrast, 1, (v) => { this.processor.options.contrast = v; this.processIfReady(); });
-        this.createSlider(adjustSection, 'brightness', 'Bright', -100, 100, this.processor.options.brightness, 1, (v) => { this.processor.options.brightness = v; this.processIfReady(); });
-        this.createSlider(adjustSection, 'exposure', 'Exp', 0.1, 5.0, this.processor.options.exposure, 0.1, (v) => { this.processor.options.exposure = v; this.processIfReady(); });
-        this.createSlider(adjustSection, 'gamma', 'Gamma', 0.1, 10.0, this.processor.options.gamma, 0.1, (v) => { this.processor.options.gamma = v; this.processIfReady(); });
-        this.createCheckbox(adjustSection, 'inverted', 'Invert', this.processor.options.inverted, (v) => { this.processor.options.inverted = v; this.processIfReady(); });
-        this.createCheckbox(adjustSection, 'autolevel', 'Auto-Level', this.processor.options.autoLevel, (v) => { this.processor.options.autoLevel = v; this.processIfReady(); });
+        createSlider(adjustSection, 'contrast', 'Contrast', -100, 100, this.processor.options.contrast, 1, (v) => { this.processor.options.contrast = v; this.processIfReady(); });
+        createSlider(adjustSection, 'brightness', 'Bright', -100, 100, this.processor.options.brightness, 1, (v) => { this.processor.options.brightness = v; this.processIfReady(); });
+        createSlider(adjustSection, 'exposure', 'Exp', 0.1, 5.0, this.processor.options.exposure, 0.1, (v) => { this.processor.options.exposure = v; this.processIfReady(); });
+        createSlider(adjustSection, 'gamma', 'Gamma', 0.1, 10.0, this.processor.options.gamma, 0.1, (v) => { this.processor.options.gamma = v; this.processIfReady(); });
+        createSlider(adjustSection, 'alpha-threshold', 'Alpha Cutoff (0 = off)', 0, 255, this.processor.options.alphaThreshold, 1, (v) => { this.processor.options.alphaThreshold = v; this.processIfReady(); });
+        createCheckbox(adjustSection, 'inverted', 'Invert', this.processor.options.inverted, (v) => { this.processor.options.inverted = v; this.processIfReady(); });
+        createCheckbox(adjustSection, 'autolevel', 'Auto-Level', this.processor.options.autoLevel, (v) => { this.processor.options.autoLevel = v; this.processIfReady(); this.renderControls(); });
+        if (this.processor.options.autoLevel) {
+            createButtonGroup(adjustSection, 'autolevel-mode-grp', 'Auto-Level Mode', [
+                { value: 'global', label: 'Global' },
+                { value: 'clahe', label: 'CLAHE' }
+            ], this.processor.options.autoLevelMode, (v) => { this.processor.options.autoLevelMode = v; this.processor.resetAutoLevel(); this.processIfReady(); this.renderControls(); });
+
+            if (this.processor.options.autoLevelMode === 'clahe') {
+                createButtonGroup(adjustSection, 'clahe-grid-grp', 'Tiles', [
+                    { value: '4x4', label: '4x4' },
+                    { value: '8x8', label: '8x8' },
+                    { value: '16x16', label: '16x16' }
+                ], this.processor.options.claheGrid, (v) => { this.processor.options.claheGrid = v; this.processor.resetAutoLevel(); this.processIfReady(); });
+                createSlider(adjustSection, 'clahe-clip', 'Clip Limit', 0, 8, this.processor.options.claheClipLimit, 0.5, (v) => { this.processor.options.claheClipLimit = v; this.processIfReady(); });
+            }
+        }
+        createSelect(adjustSection, 'luminance-model', 'Luminance',
+            Object.entries(LUMINANCE_MODELS).map(([value, model]) => ({ value, label: model.label })),
+            this.processor.options.luminanceModel, (v) => { this.processor.options.luminanceModel = v; this.processIfReady(); });
 
         adjustArea.appendChild(adjustSection);
+        this.controls.renderToneEditor(adjustArea);
+        this.controls.renderFilterChain(adjustArea);
+        renderEffectStack(adjustArea, this.effects, () => this.onEffectsChange());
+
+        if (modeDef.usesCharset) {
+            this.controls.renderCharsetEditor(adjustArea);
+        } else {
+            this.controls.charsetPreview = null;
+        }
 
         // --- Export (Col 1 Bottom) ---
         const exportSection = document.createElement('div');
@@ -321,6 +463,7 @@ class ImageApp {
         downloadPngBtn.onclick = () => this.downloadAsPng();
         downloadPngBtn.disabled = !this.hasSource;
         exportSection.appendChild(downloadPngBtn);
+        createCheckbox(exportSection, 'png-transparent', 'Transparent background', this.exportTransparent, (v) => { this.exportTransparent = v; });
 
         const encodeBtn = document.createElement('button');
         encodeBtn.textContent = '💾 Save .ascv';
@@ -343,96 +486,11 @@ class ImageApp {
         this.updateEstimation();
     }
 
-    createButtonGroup(parent, id, label, options, currentVal, onChange, disabled = false) {
-        const div = document.createElement('div');
-        div.className = 'control-item';
-        div.innerHTML = `<label>${label}</label>`;
-
-        const group = document.createElement('div');
-        group.className = 'button-group';
-        if (disabled) group.style.opacity = '0.5';
-
-        options.forEach(opt => {
-            const btn = document.createElement('button');
-            btn.className = `group-btn ${opt.value === currentVal ? 'active' : ''}`;
-            btn.textContent = opt.label;
-            btn.disabled = disabled;
-            btn.onclick = () => {
-                if (btn.classList.contains('active')) return;
-                group.querySelectorAll('.group-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                onChange(opt.value);
-            };
-            group.appendChild(btn);
-        });
-
-        div.appendChild(group);
-        parent.appendChild(div);
-    }
-
-    createSlider(parent, id, label, min, max, val, step, onChange) {
-        const div = document.createElement('div');
-        div.className = 'control-item';
-        div.innerHTML = `
-            <label>${label} <span id="val-${id}">${val}</span></label>
-            <input type="range" min="${min}" max="${max}" step="${step}" value="${val}" id="${id}">
-        `;
-        parent.appendChild(div);
-
-        const input = div.querySelector('input');
-        input.addEventListener('input', (e) => {
-            const v = parseFloat(e.target.value);
-            div.querySelector(`#val-${id}`).textContent = v;
-            onChange(v);
-        });
-    }
-
-    createCheckbox(parent, id, label, val, onChange) {
-        const div = document.createElement('div');
-        div.className = 'control-item checkbox-item';
-        div.style.display = 'flex';
-        div.style.alignItems = 'center';
-        div.style.gap = '10px';
-        div.style.cursor = 'pointer';
-        div.style.marginTop = '10px';
-        div.innerHTML = `
-            <input type="checkbox" id="${id}" ${val ? 'checked' : ''} style="cursor: pointer; width: 18px; height: 18px; accent-color: var(--accent-primary);">
-            <label for="${id}" style="cursor: pointer; margin: 0;">${label}</label>
-        `;
-        parent.appendChild(div);
-
-        const input = div.querySelector('input');
-        input.addEventListener('change', (e) => {
-            onChange(e.target.checked);
-        });
-    }
-
-    createSelect(parent, id, label, options, val, onChange, disabled = false) {
-        const div = document.createElement('div');
-        div.className = 'control-item';
-        div.innerHTML = `<label>${label}</label>`;
-
-        const sel = document.createElement('select');
-        sel.id = id;
-        sel.disabled = disabled;
-        if (disabled) sel.style.opacity = '0.5';
-        options.forEach(opt => {
-            const o = document.createElement('option');
-            o.value = opt.value;
-            o.textContent = opt.label;
-            if (opt.value === val) o.selected = true;
-            sel.appendChild(o);
-        });
-        div.appendChild(sel);
-        parent.appendChild(div);
-
-        sel.addEventListener('change', (e) => onChange(e.target.value));
-    }
-
     processIfReady() {
         if (this.hasSource) {
             this.processor.process();
             this.updateEncoderStats();
+            this.controls.drawHistogram();
             this.updateEstimation();
         }
     }
@@ -457,9 +515,11 @@ class ImageApp {
         let b64Size = 0;
 
         if (data) {
+            // The histograms and variance are analysis aids and not part of the file format.
+            const { histogram, inputHistogram, variance, ...stored } = data;
             const json = JSON.stringify({
-                meta: { version: 4, frameCount: 1 },
-                frames: [{ t: 0, d: data }]
+                meta: { version: 5, frameCount: 1 },
+                frames: [{ t: 0, d: stored }]
             });
             jsonSize = json.length;
             b64Size = btoa(unescape(encodeURIComponent(json))).length;
@@ -502,10 +562,51 @@ class ImageApp {
         `;
     }
 
+    onEffectsChange() {
+        this.drawEffectsPreview(this.effectsTime);
+        this.renderControls();
+        if (this.effectsFrame === null) this.effectsFrame = requestAnimationFrame(this.effectsLoop);
+    }
+
+    // Effects change over time, so while any are on the current frame is redrawn every animation
+    // frame, even for a still image.
+    drawEffectsPreview(timestamp) {
+        this.effectsTime = timestamp;
+        if (this.currentMode === 'encoder') {
+            if (!this.hasSource || !this.processor.currentFrameData) return;
+            AsciiProcessor.drawFrame(this.processor.renderCtx, this.processor.currentFrameData, {
+                style: this.processor.options.renderStyle, effects: this.effects, time: timestamp,
+                transparent: this.processor.options.alphaThreshold > 0
+            });
+        } else if (this.hasDecodedData && this.decoder.reconstructedFrame) {
+            AsciiProcessor.drawFrame(this.decoderCtx, this.decoder.reconstructedFrame, {
+                style: this.decoder.renderStyle, effects: this.effects, time: timestamp
+            });
+        }
+    }
+
+    effectsLoop(timestamp) {
+        this.effectsFrame = null;
+        if (!getActiveEffects(this.effects)) return;
+        this.drawEffectsPreview(timestamp);
+        this.effectsFrame = requestAnimationFrame(this.effectsLoop);
+    }
+
+    // Canvas to save as PNG: the preview canvas when its background already matches the
+    // Transparent background setting, otherwise the frame re-rendered. The encoder preview is
+    // transparent while alphaThreshold is on, the decoder's is always opaque.
+    getPngCanvas(canvas, frameData, style, previewTransparent = false) {
+        if (!frameData || this.exportTransparent === previewTransparent) return canvas;
+        const out = document.createElement('canvas');
+        AsciiProcessor.drawFrame(out.getContext('2d'), frameData, { transparent: this.exportTransparent, style, effects: this.effects, time: this.effectsTime });
+        return out;
+    }
+
     downloadAsPng() {
         if (!this.hasSource) return;
 
-        const canvas = this.encoderCanvas;
+        const canvas = this.getPngCanvas(this.encoderCanvas, this.processor.currentFrameData, this.processor.options.renderStyle,
+            this.processor.options.alphaThreshold > 0);
         const link = document.createElement('a');
         link.download = `ascii-image-${Date.now()}.png`;
         link.href = canvas.toDataURL('image/png');
@@ -530,7 +631,7 @@ class ImageApp {
     downloadDecodedAsPng() {
         if (!this.hasDecodedData) return;
 
-        const canvas = this.decoderCanvas;
+        const canvas = this.getPngCanvas(this.decoderCanvas, this.decoder.reconstructedFrame, this.decoder.renderStyle);
         const link = document.createElement('a');
         link.download = `ascii-decoded-${Date.now()}.png`;
         link.href = canvas.toDataURL('image/png');
@@ -539,8 +640,10 @@ class ImageApp {
     }
 
     async copyAsText() {
-        const text = this.processor.currentFrameData?.text;
-        if (!text) return;
+        const frame = this.processor.currentFrameData;
+        if (!frame) return;
+        // Pads narrow glyphs when the charset mixes in wide ones, so the rows line up in a terminal.
+        const text = getTerminalText(frame);
 
         try {
             await navigator.clipboard.writeText(text);
@@ -562,7 +665,7 @@ class ImageApp {
 
         this.elements.statusBar.textContent = 'Encoding...';
         this.processor.process();
-        this.encoder.start();
+        this.encoder.start({ renderStyle: this.processor.options.renderStyle });
         this.encoder.addFrame(this.processor.currentFrameData, 0);
 
         const blob = await this.encoder.stopAndSave();
@@ -1,9 +1,27 @@
-import { getBayerValue } from '../utils/BayerMatrix.js';
+import { resizeNearest } from '../utils/PixelBuffer.js';
+import { downsampleLinear } from '../utils/Downsample.js';
+import { getLuminanceFunction } from '../utils/Luminance.js';
+import { computeClaheLuts, smoothClaheLuts, applyClahe } from '../utils/Clahe.js';
+import { applyFilterChain } from '../utils/Filters.js';
+import { createDefaultCurves, buildLevelsLut, buildCurveLut, isIdentityCurve } from '../utils/ToneCurve.js';
+import { GRADIENT_PRESETS, buildGradientLut } from '../utils/Gradients.js';
+import { packColor, unpackColor, TRANSPARENT } from '../utils/ColorPacking.js';
+import { measureCellWidth } from '../utils/GlyphMetrics.js';
+import { toGlyphs, glyphColumns, getFrameCells } from '../utils/Graphemes.js';
+import { resolveRenderStyle, getStyleFont } from '../utils/RenderStyle.js';
+import { getActiveEffects, hslToRgb } from '../utils/Effects.js';
+import { MODES, registerMode } from './Modes.js';
+import { PALETTES, parsePaletteHex, samplePixels, medianCut, kMeans, quantizeToPalette } from '../utils/Palettes.js';
+
+// Filtered downsampling reads the source at native size up to this many pixels;
+// larger sources are pre-shrunk by the canvas first.
+const MAX_FILTER_PIXELS = 4000000;
 
 export class AsciiProcessor {
     constructor() {
-        this.processCanvas = document.createElement('canvas');
-        this.ctx = this.processCanvas.getContext('2d', { willReadFrequently: true });
+        // Created lazily by process() so the processor can be used without a DOM.
+        this.processCanvas = null;
+        this.ctx = null;
 
         this.renderCanvas = null;
         this.renderCtx = null;
@@ -13,28 +31,77 @@ export class AsciiProcessor {
         this.options = {
             resolution: 100,
             charSize: 10,
+            charAspect: 'auto', // Cell width / height used to keep proportions; 'auto' measures the render font
+            renderStyle: { theme: 'classic' }, // Font, spacing and colours for drawFrame (see utils/RenderStyle.js)
+            columns: 0, // Explicit grid width in characters (0 = use resolution)
+            rows: 0, // Explicit grid height in characters (0 = derived from the aspect)
+            fitMode: 'fit', // When both columns and rows are set: 'fit', 'fill', 'stretch' or 'crop'
+            downsample: 'fast', // 'fast' (canvas / nearest), or area-averaged in linear light: 'box', 'lanczos'
             charset: ' .:-=+*#%@',
             brightness: 0,
             exposure: 1.0,
             contrast: 0,
             gamma: 1.0,
             inverted: false,
+            levelsBlack: 0, // Input black point (0-255)
+            levelsWhite: 255, // Input white point (0-255)
+            levelsMid: 1.0, // Mid-tone gamma (1 = neutral)
+            curves: createDefaultCurves(), // Tone curves { master, r, g, b }: [x, y] points in 0-255
+            filters: [], // Pre-processing chain of { type, enabled, params } steps (see utils/Filters.js)
             mode: 'grayscale',
-            colorMode: 'color',
+            colorMode: 'color', // 'color', 'mono', 'rainbow' (drawn), or luminance-mapped 'gradient' / 'duotone'
+            gradientStops: GRADIENT_PRESETS.fire.map((stop) => stop.slice()), // [position 0-255, '#rrggbb'] stops; duotone uses the ends
             colorDepth: 8, // New: 4, 8, 12, or 24
             binaryThreshold: 128,
             binaryLight: '1',
             binaryDark: '0',
-            autoLevel: false
+            ditherAlgorithm: 'ordered', // 'none', 'ordered', 'floyd-steinberg', 'atkinson', 'sierra'
+            ditherMatrix: 'bayer4', // Ordered only: 'bayer2', 'bayer4', 'bayer8', 'bayer16', 'bluenoise'
+            alphaThreshold: 0, // Cells whose mean alpha is below this (0-255) become empty; 0 ignores alpha
+            autoLevel: false,
+            autoLevelMode: 'global', // 'global' histogram equalisation or 'clahe' (local, contrast-limited)
+            claheGrid: '8x8', // CLAHE tiles (cols x rows)
+            claheClipLimit: 2, // CLAHE clip limit as a multiple of the mean histogram bin (0 = no clipping)
+            claheTemporal: 0, // 0-1: how much of the previous frame's tile mappings to keep (video)
+            temporalStability: false, // Video: keep a cell's glyph/colour until it changes by more than the margins
+            temporalMargin: 12, // Luminance change (0-255) a cell needs before its glyph is re-picked
+            temporalColorMargin: 24, // Largest channel change (0-255) before a cell's colour is updated
+            sceneCutThreshold: 40, // Mean luminance change (0-255) between frames that counts as a scene cut
+            luminanceModel: 'rec709', // 'rec709', 'rec601', 'linear709', 'lab' (CIE L*), 'oklab' (OKLab L), 'max', 'average'
+            cellBackground: 'none', // 'none' or 'dim' (average cell colour scaled by cellBackgroundDim)
+            cellBackgroundDim: 0.3,
+            edgeThreshold: 64, // Edge mode: gradient magnitude (0-255) above which orientation glyphs are used
+            edgeOperator: 'sobel', // 'sobel' or 'scharr'
+            shapeGrid: '3x3', // Shape mode feature grid per cell (cols x rows): '3x3' or '4x6'
+            emojiSet: 'mosaic', // Emoji mode: a preset from utils/Emoji.js, or a string / array of emoji
+            palette: 'none', // 'none' (bit depth), 'ansi16', 'xterm256', 'cga', 'ega', 'ega64', 'gameboy', 'pico8', 'custom', 'adaptive'
+            customPalette: '', // Hex list for 'custom', e.g. '#000000, #ff0000, #ffffff'
+            paletteSize: 16, // Adaptive palette size
+            paletteAlgorithm: 'median-cut', // Adaptive: 'median-cut' or 'kmeans'
+            paletteScope: 'frame', // Adaptive: 'frame' recomputes every frame, 'video' keeps the first one until resetPalette()
+            colorDither: false // Error-diffuse colours between cells when mapping to a palette
         };
 
+        // Adaptive palette kept between frames when paletteScope is 'video'
+        this.adaptivePalette = null;
+        this.adaptivePaletteKey = null;
+
+        // CLAHE tile mappings from the previous frame, for claheTemporal smoothing
+        this.claheState = null;
+
+        // Per-cell glyphs/colours held by temporalStability, and the last luminance map for scene cuts
+        this.temporalState = null;
+        this.lastLuminanceMap = null;
+
         // Current Frame Data
         this.currentFrameData = null; // { text: string, colors: Uint32Array, width, height, mode, charSize }
     }
 
+    // The context keeps its alpha channel so empty (TRANSPARENT) cells show through while
+    // alphaThreshold is on; other frames fill the background as usual.
     setRenderCanvas(canvas) {
         this.renderCanvas = canvas;
-        this.renderCtx = canvas.getContext('2d', { alpha: false });
+        this.renderCtx = canvas.getContext('2d');
     }
 
     setSource(source) {
@@ -62,55 +129,317 @@ export class AsciiProcessor {
     }
 
     getBrightness(r, g, b, gamma, contrast, inverted, brightness, exposure) {
-        let br = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        let br = getLuminanceFunction(this.options.luminanceModel)(r, g, b);
         br = this.applyGammaContrast(br, gamma, contrast, brightness, exposure);
         if (inverted) br = 255 - br;
         return br;
     }
 
-    process() {
-        if (!this.source) return;
+    // Convenience entry point for scripts, workers and tests:
+    // converts an ImageData-like { width, height, data } buffer without touching the DOM.
+    static convert(imageData, options = {}) {
+        const processor = new AsciiProcessor();
+        Object.assign(processor.options, options);
+        return processor.processPixels(imageData);
+    }
+
+    // Grid size (in process pixels) for a source of the given dimensions, plus the `source` rect
+    // (source pixels) that is drawn into the `target` rect (process pixels). `charAspect` is the
+    // cell width / height the frame will be rendered with.
+    //
+    // With both `columns` and `rows` set the grid is exactly that size and `fitMode` decides how
+    // the picture is placed: 'fit' letterboxes the whole picture, 'fill' covers the grid and crops
+    // the overflow, 'stretch' ignores proportions, and 'crop' keeps the `resolution` scale and
+    // crops (or pads) around the centre.
+    static getProcessSize(srcW, srcH, options, charAspect = 0.5) {
+        const { resolution, columns = 0, rows: targetRows = 0, fitMode = 'fit' } = options;
+        const { cols, rows } = AsciiProcessor.getCellLayout(options);
+
+        // Character rows per character column that keep the picture's proportions.
+        const rowsPerCol = (srcH / srcW) * charAspect;
+        // Modes like block can stop on part of a cell, the others round to whole rows.
+        const { partialRows } = AsciiProcessor.getMode(options.mode);
+        const toPixelRows = (cells) => (partialRows ? Math.floor(cells * rows) : Math.floor(cells) * rows);
+
+        const fullSource = { x: 0, y: 0, width: srcW, height: srcH };
+
+        if (!(columns > 0 && targetRows > 0)) {
+            let gridCols = columns > 0 ? columns : resolution;
+            let height = toPixelRows(gridCols * rowsPerCol);
+            if (targetRows > 0) {
+                gridCols = Math.max(1, Math.round(targetRows / rowsPerCol));
+                height = targetRows * rows;
+            }
+            const width = gridCols * cols;
+            return { width, height, source: fullSource, target: { x: 0, y: 0, width, height } };
+        }
 
-        const { resolution, mode } = this.options;
+        const width = columns * cols;
+        const height = targetRows * rows;
+        if (fitMode === 'stretch') {
+            return { width, height, source: fullSource, target: { x: 0, y: 0, width, height } };
+        }
+
+        // Picture width in characters at the chosen scale; height follows from the aspect.
+        let imageCols = resolution;
+        if (fitMode === 'fit') imageCols = Math.min(columns, targetRows / rowsPerCol);
+        if (fitMode === 'fill') imageCols = Math.max(columns, targetRows / rowsPerCol);
+
+        // Per axis: crop the source when the picture overflows the grid, otherwise centre it.
+        const place = (srcLen, imageLen, gridLen) => {
+            if (imageLen >= gridLen) {
+                const visible = srcLen * (gridLen / imageLen);
+                return { srcStart: (srcLen - visible) / 2, srcLen: visible, dstStart: 0, dstLen: gridLen };
+            }
+            const dstLen = Math.max(1, Math.round(imageLen));
+            return { srcStart: 0, srcLen, dstStart: Math.floor((gridLen - dstLen) / 2), dstLen };
+        };
+        const h = place(srcW, imageCols * cols, width);
+        const v = place(srcH, imageCols * rowsPerCol * rows, height);
+
+        return {
+            width,
+            height,
+            source: { x: h.srcStart, y: v.srcStart, width: h.srcLen, height: v.srcLen },
+            target: { x: h.dstStart, y: v.dstStart, width: h.dstLen, height: v.dstLen }
+        };
+    }
+
+    // Adds (or replaces) a process mode; see core/Modes.js for the definition fields.
+    static registerMode(name, definition) {
+        registerMode(name, definition);
+    }
+
+    // Registered mode definition; unknown modes map like grayscale.
+    static getMode(name) {
+        return MODES[name] || MODES.grayscale;
+    }
+
+    // Registered modes in registration order, e.g. for mode pickers.
+    static listModes() {
+        return Object.values(MODES);
+    }
+
+    // Charset stored with (and drawn from) frames of the given mode, as an array of glyphs.
+    static getFrameCharset(options) {
+        const { charset } = AsciiProcessor.getMode(options.mode);
+        if (charset === null) return toGlyphs(options.charset);
+        return toGlyphs(typeof charset === 'function' ? charset(options) : charset);
+    }
+
+    // Process pixels per character cell for the current mode.
+    static getCellLayout(options) {
+        const { cellWidth, cellHeight } = AsciiProcessor.getMode(options.mode);
+        return {
+            cols: typeof cellWidth === 'function' ? cellWidth(options) : cellWidth,
+            rows: typeof cellHeight === 'function' ? cellHeight(options) : cellHeight
+        };
+    }
+
+    // Cell width / height for the current options: the explicit `charAspect`, or the render
+    // style's cell measured the same way drawFrame does. Falls back to 0.5 without a canvas.
+    getCharAspect() {
+        const { charAspect, charSize } = this.options;
+        const fixed = Number(charAspect);
+        if (fixed > 0) return fixed;
+
+        const style = resolveRenderStyle(this.options.renderStyle);
+        const glyphs = AsciiProcessor.getFrameCharset(this.options);
+        const width = measureCellWidth(glyphs, { fontFamily: style.fontFamily, fontWeight: style.fontWeight, charSize });
+        if (!width) return 0.5;
+        return (width + style.letterSpacing * charSize) / (charSize * style.lineHeight);
+    }
+
+    resetAutoLevel() {
+        this.claheState = null;
+    }
+
+    resetTemporal() {
+        this.temporalState = null;
+        this.lastLuminanceMap = null;
+    }
+
+    // True when the mean luminance change against the previous frame exceeds sceneCutThreshold.
+    // Only tracked while something carries state between frames.
+    detectSceneCut(luminanceMap) {
+        const { temporalStability, claheTemporal, sceneCutThreshold } = this.options;
+        if (!temporalStability && !(claheTemporal > 0)) {
+            this.lastLuminanceMap = null;
+            return false;
+        }
+
+        const last = this.lastLuminanceMap;
+        this.lastLuminanceMap = luminanceMap.slice();
+        if (!last || last.length !== luminanceMap.length) return false;
+
+        let diff = 0;
+        for (let i = 0; i < luminanceMap.length; i++) diff += Math.abs(luminanceMap[i] - last[i]);
+        return diff / (luminanceMap.length || 1) > sceneCutThreshold;
+    }
+
+    resetPalette() {
+        this.adaptivePalette = null;
+        this.adaptivePaletteKey = null;
+    }
+
+    // Palette table for a named or custom palette, or null for 'none'. Adaptive palettes depend on
+    // the pixels, so they come from resolvePalette.
+    static resolveFixedPalette({ palette, customPalette }) {
+        if (!palette || palette === 'none' || palette === 'adaptive') return null;
+        if (palette === 'custom') {
+            const colors = parsePaletteHex(customPalette);
+            return colors.length > 0 ? colors : null;
+        }
+        return PALETTES[palette] || null;
+    }
+
+    // Palette table for the current options, or null when colours use plain bit-depth packing.
+    resolvePalette(data) {
+        const { palette, paletteSize, paletteAlgorithm, paletteScope } = this.options;
+        if (palette !== 'adaptive') return AsciiProcessor.resolveFixedPalette(this.options);
+
+        const key = `${paletteAlgorithm}|${paletteSize}`;
+        if (paletteScope === 'video' && this.adaptivePalette && this.adaptivePaletteKey === key) {
+            return this.adaptivePalette;
+        }
+
+        // Pixels that alphaThreshold empties out don't get a say in the palette
+        const samples = samplePixels(data, undefined, this.options.alphaThreshold);
+        const size = Math.max(2, Math.min(256, paletteSize | 0));
+        this.adaptivePalette = paletteAlgorithm === 'kmeans' ? kMeans(samples, size) : medianCut(samples, size);
+        this.adaptivePaletteKey = key;
+        return this.adaptivePalette;
+    }
+
+    getProcessContext() {
+        if (!this.ctx) {
+            this.processCanvas = (typeof document !== 'undefined')
+                ? document.createElement('canvas')
+                : new OffscreenCanvas(1, 1);
+            this.ctx = this.processCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        return this.ctx;
+    }
+
+    // `drawOptions` are passed on to drawFrame for the processed frame, e.g. { effects, time }.
+    process(drawOptions) {
+        if (!this.source) return;
 
         // 1. Resize & Draw to Process Canvas
-        const srcW = this.source.videoWidth || this.source.naturalWidth || 1;
-        const srcH = this.source.videoHeight || this.source.naturalHeight || 1;
+        const srcW = this.source.videoWidth || this.source.naturalWidth || this.source.width || 1;
+        const srcH = this.source.videoHeight || this.source.naturalHeight || this.source.height || 1;
+
+        const { width: processWidth, height: processHeight, source, target } =
+            AsciiProcessor.getProcessSize(srcW, srcH, this.options, this.getCharAspect());
+
+        const ctx = this.getProcessContext();
+        const filtered = this.options.downsample === 'box' || this.options.downsample === 'lanczos';
+
+        // Filtered modes get (close to) full-resolution pixels and do the reduction themselves.
+        let canvasW = processWidth;
+        let canvasH = processHeight;
+        if (filtered) {
+            const scale = Math.min(1, Math.sqrt(MAX_FILTER_PIXELS / (srcW * srcH)));
+            canvasW = Math.max(1, Math.round(srcW * scale));
+            canvasH = Math.max(1, Math.round(srcH * scale));
+        }
 
-        let processWidth = resolution;
-        let processHeight = Math.floor(resolution * (srcH / srcW) * 0.5);
-        if (mode === 'block') processHeight = Math.floor(resolution * (srcH / srcW));
+        if (this.processCanvas.width !== canvasW || this.processCanvas.height !== canvasH) {
+            this.processCanvas.width = canvasW;
+            this.processCanvas.height = canvasH;
+        } else {
+            ctx.clearRect(0, 0, canvasW, canvasH);
+        }
 
-        if (this.processCanvas.width !== processWidth || this.processCanvas.height !== processHeight) {
-            this.processCanvas.width = processWidth;
-            this.processCanvas.height = processHeight;
+        if (filtered) {
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(this.source, 0, 0, canvasW, canvasH);
         } else {
-            this.ctx.clearRect(0, 0, processWidth, processHeight);
+            ctx.drawImage(this.source, source.x, source.y, source.width, source.height,
+                target.x, target.y, target.width, target.height);
+        }
+        const imageData = ctx.getImageData(0, 0, canvasW, canvasH);
+
+        return this.processPixels(imageData, { width: srcW, height: srcH, resample: filtered }, drawOptions);
+    }
+
+    // DOM-free core. `imageData` is any { width, height, data } RGBA buffer.
+    // `sourceSize` is the size the grid is derived from; it defaults to the buffer itself,
+    // in which case the buffer is resampled (and cropped or letterboxed) to the grid. A buffer
+    // passed with a separate `sourceSize` that already matches the grid is used as is, unless
+    // `sourceSize.resample` is set. `drawOptions` are as for `process()`.
+    processPixels(imageData, sourceSize = imageData, drawOptions = {}) {
+        const { mode } = this.options;
+        const srcW = sourceSize.width || 1;
+        const srcH = sourceSize.height || 1;
+        const charAspect = this.getCharAspect();
+        const { width: processWidth, height: processHeight, source, target } =
+            AsciiProcessor.getProcessSize(srcW, srcH, this.options, charAspect);
+
+        let data = imageData.data;
+        // Linear-light luminance variance per process pixel ('box'/'lanczos' downsampling only)
+        let sampleVariance = null;
+        const prepared = sourceSize !== imageData && !sourceSize.resample &&
+            imageData.width === processWidth && imageData.height === processHeight;
+        if (!prepared) {
+            const sx = imageData.width / srcW;
+            const sy = imageData.height / srcH;
+            const srcRect = { x: source.x * sx, y: source.y * sy, width: source.width * sx, height: source.height * sy };
+            const filter = this.options.downsample;
+            if (filter === 'box' || filter === 'lanczos') {
+                const result = downsampleLinear(data, imageData.width, imageData.height, processWidth, processHeight,
+                    { filter, srcRect, dstRect: target });
+                data = result.data;
+                sampleVariance = result.variance;
+            } else {
+                data = resizeNearest(data, imageData.width, imageData.height, processWidth, processHeight, srcRect, target);
+            }
         }
 
-        this.ctx.drawImage(this.source, 0, 0, processWidth, processHeight);
-        const imageData = this.ctx.getImageData(0, 0, processWidth, processHeight);
-        const data = imageData.data;
+        // 1.25. Filter chain (sharpen, blur, colour tweaks...) on the grid-sized pixels
+        data = applyFilterChain(data, processWidth, processHeight, this.options.filters);
 
-        const { charSize, charset, colorMode, gamma, contrast, inverted, binaryThreshold, binaryLight, binaryDark, autoLevel, exposure, brightness } = this.options;
+        const { charSize, colorMode, gamma, contrast, inverted, autoLevel, exposure, brightness } = this.options;
+        // Glyphs are grapheme clusters, so emoji and combining marks index like any other glyph.
+        const charset = toGlyphs(this.options.charset);
         const charsetLen = charset.length;
 
         // 1.5. Pre-process adjusted image and build histogram
-        // Using a LUT for manual adjustments (Gamma, Contrast, Brightness, Exposure)
-        const lut = new Uint8ClampedArray(256);
-        for (let i = 0; i < 256; i++) {
-            lut[i] = this.applyGammaContrast(i, gamma, contrast, brightness, exposure);
-        }
+        // Per-channel LUTs for manual adjustments (Gamma, Contrast, Brightness, Exposure),
+        // then levels, the master curve and the channel's own curve.
+        const { levelsBlack, levelsWhite, levelsMid, curves = {} } = this.options;
+        const adjustLut = new Uint8ClampedArray(256);
+        for (let i = 0; i < 256; i++) adjustLut[i] = Math.round(this.applyGammaContrast(i, gamma, contrast, brightness, exposure));
+        const levelsLut = buildLevelsLut(levelsBlack, levelsWhite, levelsMid);
+        // Identity curves (the default) are skipped
+        const curveLut = (points) => (isIdentityCurve(points) ? null : buildCurveLut(points));
+        const masterLut = curveLut(curves.master);
+        const channelLuts = [curves.r, curves.g, curves.b].map(curveLut);
+        const [lutR, lutG, lutB] = channelLuts.map((channelLut) => {
+            const lut = new Uint8ClampedArray(256);
+            for (let i = 0; i < 256; i++) {
+                let v = Math.round(levelsLut[adjustLut[i]]);
+                if (masterLut) v = Math.round(masterLut[v]);
+                lut[i] = channelLut ? channelLut[v] : v;
+            }
+            return lut;
+        });
+        const toneIdentity = levelsBlack === 0 && levelsWhite === 255 && levelsMid === 1 &&
+            !masterLut && channelLuts.every((lut) => !lut);
 
         const adjustedData = new Uint8ClampedArray(data.length);
         const histogram = new Uint32Array(256);
+        // Luminance of the pixels entering levels & curves, for the tone editor. Without tone
+        // changes (or inversion) it is the same as the adjusted histogram.
+        const inputHistogram = (toneIdentity && !inverted) ? histogram : new Uint32Array(256);
         const adjLuminanceMap = new Float32Array(processWidth * processHeight);
         const totalPixels = processWidth * processHeight;
+        const luminance = getLuminanceFunction(this.options.luminanceModel);
 
         for (let i = 0; i < data.length; i += 4) {
-            const rAdj = lut[data[i]];
-            const gAdj = lut[data[i + 1]];
-            const bAdj = lut[data[i + 2]];
+            const rAdj = lutR[data[i]];
+            const gAdj = lutG[data[i + 1]];
+            const bAdj = lutB[data[i + 2]];
 
             adjustedData[i] = rAdj;
             adjustedData[i + 1] = gAdj;
@@ -118,12 +447,17 @@ export class AsciiProcessor {
             adjustedData[i + 3] = data[i + 3];
 
             // Calculate adjusted luminance (with inversion)
-            let lum = 0.2126 * rAdj + 0.7152 * gAdj + 0.0722 * bAdj;
+            let lum = luminance(rAdj, gAdj, bAdj);
             if (inverted) lum = 255 - lum;
 
             const lumClamped = Math.floor(Math.max(0, Math.min(255, lum)));
             adjLuminanceMap[i / 4] = lumClamped;
             histogram[lumClamped]++;
+
+            if (inputHistogram !== histogram) {
+                const inLum = luminance(adjustLut[data[i]], adjustLut[data[i + 1]], adjustLut[data[i + 2]]);
+                inputHistogram[Math.floor(Math.max(0, Math.min(255, inLum)))]++;
+            }
         }
 
         // Compute CDF for Histogram Equalization
@@ -146,155 +480,241 @@ export class AsciiProcessor {
             normalizedCdf[i] = ((cdf[i] - cdfMin) / cdfRange) * 255;
         }
 
+        // A scene cut drops everything carried over from the previous frame.
+        if (this.detectSceneCut(adjLuminanceMap)) {
+            this.resetAutoLevel();
+            this.temporalState = null;
+        }
+
+        // Luminance after auto-level; everything except binary mode reads from this.
+        let levelMap = adjLuminanceMap;
+        if (autoLevel && this.options.autoLevelMode === 'clahe') {
+            const [tilesX, tilesY] = String(this.options.claheGrid || '8x8').split('x').map((n) => parseInt(n, 10) || 8);
+            const luts = computeClaheLuts(adjLuminanceMap, processWidth, processHeight, tilesX, tilesY, this.options.claheClipLimit);
+            this.claheState = smoothClaheLuts(luts, this.claheState, this.options.claheTemporal);
+            levelMap = applyClahe(adjLuminanceMap, processWidth, processHeight, this.claheState);
+        } else if (autoLevel) {
+            levelMap = adjLuminanceMap.map((v) => normalizedCdf[Math.floor(v)]);
+        }
+
+        // Gradient / duotone: recolour every pixel from its levelled luminance. The modes below then
+        // take the mapped colours exactly as they would take source colours.
+        const gradientMode = colorMode === 'gradient' || colorMode === 'duotone';
+        if (gradientMode) {
+            const gradientLut = buildGradientLut(this.options.gradientStops, colorMode === 'duotone');
+            for (let p = 0; p < totalPixels; p++) {
+                const c = gradientLut[Math.max(0, Math.min(255, Math.round(levelMap[p])))];
+                adjustedData[p * 4] = (c >> 16) & 0xff;
+                adjustedData[p * 4 + 1] = (c >> 8) & 0xff;
+                adjustedData[p * 4 + 2] = c & 0xff;
+            }
+        }
+        const bakedColor = colorMode === 'color' || gradientMode;
+
+        // With a palette, cells are packed at full depth first and mapped to palette indices at the end.
+        const palette = (colorMode === 'color') ? this.resolvePalette(adjustedData) : null;
+        const depth = palette ? 24 : this.options.colorDepth;
+
         let text = '';
         // We use a flat text string for storage efficiency (if lines needed, we can split later or store width)
         // Actually, we need 2D data for color matching. 
         // Let's store colors in a flat array matching text length.
-        // Block mode is special (2 pixels -> 1 char).
-
-        const outputWidth = processWidth;
-        const outputHeight = (mode === 'block') ? Math.ceil(processHeight / 2) : processHeight;
-
-        // Color buffer: Packed RGB (0xRRGGBB). -1 for default/mono.
-        let colors = (colorMode === 'color') ? new Int32Array(outputWidth * outputHeight) : null;
+        // Each mode maps one cell of xStep x yStep process pixels to a glyph and its colours.
+        const modeDef = AsciiProcessor.getMode(mode);
+        const { cols: xStep, rows: yStep } = AsciiProcessor.getCellLayout(this.options);
+        const frame = {
+            options: this.options,
+            width: processWidth,
+            height: processHeight,
+            pixelAspect: xStep / (yStep * charAspect),
+            data: adjustedData,
+            luminance: adjLuminanceMap,
+            levels: levelMap,
+            charset,
+            charsetLength: charsetLen,
+            color: bakedColor,
+            depth,
+            state: null
+        };
+        frame.state = modeDef.prepare ? modeDef.prepare(frame) : null;
+        const cell = { index: 0, char: ' ', color: -1, bgColor: -1 };
+
+        const outputWidth = Math.ceil(processWidth / xStep);
+        const outputHeight = Math.ceil(processHeight / yStep);
+
+        // Color buffer: Packed RGB (0xRRGGBB). -1 for default/mono, TRANSPARENT for empty cells.
+        // Mono frames only carry one when transparency is on.
+        const { alphaThreshold } = this.options;
+        let colors = (bakedColor || alphaThreshold > 0) ? new Int32Array(outputWidth * outputHeight) : null;
+        // Background colours: the second colour of a block split, or the dimmed cell average.
+        const { cellBackground, cellBackgroundDim } = this.options;
+        const wantsBackground = modeDef.twoColor || cellBackground === 'dim';
+        let bgColors = (bakedColor && wantsBackground) ? new Int32Array(outputWidth * outputHeight) : null;
         const charIndices = []; // New buffer for palette indexing
+        // Mean sample variance per cell: how much texture the cell averages over
+        const cellVariance = sampleVariance ? new Float32Array(outputWidth * outputHeight) : null;
 
         let charIndex = 0;
 
-        const yStep = (mode === 'block') ? 2 : 1;
+        // Temporal stability: each cell keeps the glyph it was last given until its luminance moves
+        // more than temporalMargin away from the value at that time (hysteresis), likewise for colours.
+        // Textured cells get up to twice the margin, as their average flickers most between frames.
+        // Glyphs are only held in modes that pick them by luminance (levelGlyphs); a held braille or
+        // quadrant mask would go stale while the cell's average stays put.
+        let stable = null;
+        const frameGlyphs = AsciiProcessor.getFrameCharset(this.options);
+        if (this.options.temporalStability) {
+            const cellCount = outputWidth * outputHeight;
+            const key = `${mode}|${outputWidth}x${outputHeight}|${JSON.stringify(frameGlyphs)}|${depth}|${colorMode}`;
+            if (!this.temporalState || this.temporalState.key !== key) {
+                this.temporalState = {
+                    key,
+                    lum: new Float32Array(cellCount).fill(-1),
+                    indices: new Int32Array(cellCount),
+                    colors: new Int32Array(cellCount).fill(-1),
+                    bgColors: new Int32Array(cellCount).fill(-1)
+                };
+            }
+            stable = this.temporalState;
+        }
+        const { temporalMargin, temporalColorMargin } = this.options;
+        const holdColor = (held, i, packed) => {
+            const prev = held[i];
+            if (prev >= 0 && packed >= 0) {
+                const a = unpackColor(prev, depth);
+                const c = unpackColor(packed, depth);
+                if (Math.max(Math.abs(a[0] - c[0]), Math.abs(a[1] - c[1]), Math.abs(a[2] - c[2])) < temporalColorMargin) return prev;
+            }
+            held[i] = packed;
+            return packed;
+        };
 
         for (let y = 0; y < processHeight; y += yStep) {
-            for (let x = 0; x < processWidth; x++) {
-
-                let charToDraw = ' ';
-                let r = 0, g = 0, b = 0;
-                let colorPacked = -1; // Default
-                let idx = 0; // Character index for palette
-
-                // --- Logic extraction ---
-                if (mode === 'block') {
-                    const offsetT = (y * processWidth + x) * 4;
-                    const offsetB = (Math.min(y + 1, processHeight - 1) * processWidth + x) * 4;
-
-                    const rTAdj = adjustedData[offsetT]; const gTAdj = adjustedData[offsetT + 1]; const bTAdj = adjustedData[offsetT + 2];
-                    const rBAdj = adjustedData[offsetB]; const gBAdj = adjustedData[offsetB + 1]; const bBAdj = adjustedData[offsetB + 2];
-
-                    let brT = adjLuminanceMap[y * processWidth + x];
-                    let brB = adjLuminanceMap[Math.min(y + 1, processHeight - 1) * processWidth + x];
-
-                    if (autoLevel) {
-                        brT = normalizedCdf[Math.floor(brT)];
-                        brB = normalizedCdf[Math.floor(brB)];
+            for (let x = 0; x < processWidth; x += xStep) {
+
+                cell.index = 0;
+                cell.char = ' ';
+                cell.color = -1;
+                cell.bgColor = -1;
+                modeDef.mapCell(x, y, frame, cell);
+
+                let idx = cell.index; // Character index for palette
+                let charToDraw = cell.char;
+                let colorPacked = cell.color; // -1 for default/mono
+                let bgPacked = cell.bgColor;
+
+                if (bgColors && !modeDef.twoColor) {
+                    let sr = 0, sg = 0, sb = 0, n = 0;
+                    for (let sy = 0; sy < yStep && y + sy < processHeight; sy++) {
+                        for (let sx = 0; sx < xStep && x + sx < processWidth; sx++) {
+                            const o = ((y + sy) * processWidth + x + sx) * 4;
+                            sr += adjustedData[o]; sg += adjustedData[o + 1]; sb += adjustedData[o + 2];
+                            n++;
+                        }
                     }
+                    const k = cellBackgroundDim / (n || 1);
+                    bgPacked = packColor(Math.round(sr * k), Math.round(sg * k), Math.round(sb * k), depth);
+                }
 
-                    const tOn = brT > 127.5;
-                    const bOn = brB > 127.5;
-
-                    if (tOn && bOn) charToDraw = '█';
-                    else if (tOn && !bOn) charToDraw = '▀';
-                    else if (!tOn && bOn) charToDraw = '▄';
-                    else charToDraw = ' ';
-
-                    if (colorMode === 'color') {
-                        const depth = this.options.colorDepth;
-                        if (depth === 4) {
-                            const r1 = (rTAdj >> 7); const g2 = (gTAdj >> 6); const b1 = (bTAdj >> 7);
-                            colorPacked = (r1 << 3) | (g2 << 1) | b1;
-                        } else if (depth === 8) {
-                            const r3 = (rTAdj >> 5); const g3 = (gTAdj >> 5); const b2 = (bTAdj >> 6);
-                            colorPacked = (r3 << 5) | (g3 << 2) | b2;
-                        } else if (depth === 12) {
-                            const r4 = (rTAdj >> 4); const g4 = (gTAdj >> 4); const b4 = (bTAdj >> 4);
-                            colorPacked = (r4 << 8) | (g4 << 4) | b4;
-                        } else {
-                            colorPacked = (rTAdj << 16) | (gTAdj << 8) | bTAdj;
+                if (cellVariance) {
+                    let sum = 0, n = 0;
+                    for (let sy = 0; sy < yStep && y + sy < processHeight; sy++) {
+                        for (let sx = 0; sx < xStep && x + sx < processWidth; sx++) {
+                            sum += sampleVariance[(y + sy) * processWidth + x + sx];
+                            n++;
                         }
                     }
+                    cellVariance[charIndex] = sum / (n || 1);
+                }
 
-                    // Special indices for block mode
-                    idx = tOn + (bOn << 1);
-
-                    // We need a custom charset for block mode to map indices 0,1,2,3
-                    this.currentBlockCharset = ' ▀▄█';
-                } else {
-                    const offset = (y * processWidth + x) * 4;
-                    r = adjustedData[offset]; g = adjustedData[offset + 1]; b = adjustedData[offset + 2];
-                    let brightness = adjLuminanceMap[y * processWidth + x];
-
-                    if (mode === 'binary') {
-                        const bayer = getBayerValue(x, y);
-                        const dithered = brightness + ((bayer / 16) - 0.5) * 32;
-                        idx = dithered > binaryThreshold ? 1 : 0;
-                        charToDraw = idx === 1 ? binaryLight : binaryDark;
-
-                        this.currentBinaryCharset = binaryDark + binaryLight;
-                    } else if (mode === 'dither') {
-                        const bayer = getBayerValue(x, y);
-                        const t = (bayer + 0.5) / 16.0;
-                        if (autoLevel) brightness = normalizedCdf[Math.floor(brightness)];
-                        idx = Math.floor(((brightness / 256) + (t - 0.5) / charsetLen) * charsetLen);
-                        idx = Math.max(0, Math.min(idx, charsetLen - 1));
-                        charToDraw = charset[idx];
-                    } else { // Grayscale
-                        if (autoLevel) {
-                            brightness = normalizedCdf[Math.floor(brightness)];
+                if (stable) {
+                    if (modeDef.levelGlyphs) {
+                        let lumSum = 0, n = 0;
+                        for (let sy = 0; sy < yStep && y + sy < processHeight; sy++) {
+                            for (let sx = 0; sx < xStep && x + sx < processWidth; sx++) {
+                                lumSum += levelMap[(y + sy) * processWidth + x + sx];
+                                n++;
+                            }
+                        }
+                        const cellLum = lumSum / (n || 1);
+                        // Standard deviation is at most 0.5 (variance 0.25)
+                        const margin = cellVariance ? temporalMargin * (1 + 2 * Math.sqrt(cellVariance[charIndex])) : temporalMargin;
+                        if (stable.lum[charIndex] >= 0 && Math.abs(cellLum - stable.lum[charIndex]) < margin) {
+                            idx = stable.indices[charIndex];
+                            charToDraw = frameGlyphs[idx];
+                        } else {
+                            stable.lum[charIndex] = cellLum;
+                            stable.indices[charIndex] = idx;
                         }
-
-                        idx = Math.floor((brightness / 256) * charsetLen);
-                        idx = Math.max(0, Math.min(idx, charsetLen - 1));
-                        charToDraw = charset[idx];
                     }
+                    colorPacked = holdColor(stable.colors, charIndex, colorPacked);
+                    bgPacked = holdColor(stable.bgColors, charIndex, bgPacked);
+                }
 
-                    if (colorMode === 'color') {
-                        const depth = this.options.colorDepth;
-                        if (depth === 4) {
-                            const r1 = (r >> 7); const g2 = (g >> 6); const b1 = (b >> 7);
-                            colorPacked = (r1 << 3) | (g2 << 1) | b1;
-                        } else if (depth === 8) {
-                            const r3 = (r >> 5); const g3 = (g >> 5); const b2 = (b >> 6);
-                            colorPacked = (r3 << 5) | (g3 << 2) | b2;
-                        } else if (depth === 12) {
-                            const r4 = (r >> 4); const g4 = (g >> 4); const b4 = (b >> 4);
-                            colorPacked = (r4 << 8) | (g4 << 4) | b4;
-                        } else {
-                            colorPacked = (r << 16) | (g << 8) | b;
+                if (alphaThreshold > 0) {
+                    let alphaSum = 0, n = 0;
+                    for (let sy = 0; sy < yStep && y + sy < processHeight; sy++) {
+                        for (let sx = 0; sx < xStep && x + sx < processWidth; sx++) {
+                            alphaSum += adjustedData[((y + sy) * processWidth + x + sx) * 4 + 3];
+                            n++;
                         }
                     }
+                    if (alphaSum / (n || 1) < alphaThreshold) {
+                        idx = 0;
+                        charToDraw = frameGlyphs[0];
+                        colorPacked = TRANSPARENT;
+                        if (bgColors) bgPacked = TRANSPARENT;
+                    }
                 }
 
                 charIndices.push(idx);
                 text += charToDraw;
-                if (colors) colors[charIndex++] = colorPacked;
+                if (colors) colors[charIndex] = colorPacked;
+                if (bgColors) bgColors[charIndex] = bgPacked;
+                charIndex++;
             }
             text += '\n';
         }
 
-        let finalCharset = charset;
-        if (mode === 'block') finalCharset = ' ▀▄█';
-        if (mode === 'binary') finalCharset = binaryDark + binaryLight;
+        if (palette) {
+            if (colors) colors = quantizeToPalette(colors, outputWidth, outputHeight, palette, this.options.colorDither);
+            if (bgColors) bgColors = quantizeToPalette(bgColors, outputWidth, outputHeight, palette, false);
+        }
 
         this.currentFrameData = {
             text: text,
             charIndices: charIndices,
             colors: colors ? Array.from(colors) : null,
+            bgColors: bgColors ? Array.from(bgColors) : undefined,
             width: outputWidth,
             height: outputHeight,
             charSize: charSize,
             mode: mode,
             colorDepth: this.options.colorDepth,
             colorMode: this.options.colorMode,
-            charset: finalCharset,
-            resolution: this.options.resolution
+            palette: palette ? Array.from(palette) : undefined, // colors/bgColors index into this table
+            charset: frameGlyphs, // Glyph per charIndices value (grapheme clusters)
+            resolution: outputWidth,
+            histogram: Array.from(histogram), // Luminance histogram of the adjusted pixels (not encoded)
+            inputHistogram: Array.from(inputHistogram), // The same before levels & curves (not encoded)
+            variance: cellVariance ? Array.from(cellVariance) : undefined // Per-cell sample variance, 0-0.25 (not encoded)
         };
 
         // 3. Render directly if we have a context
         if (this.renderCtx) {
-            AsciiProcessor.drawFrame(this.renderCtx, this.currentFrameData);
+            AsciiProcessor.drawFrame(this.renderCtx, this.currentFrameData, {
+                style: this.options.renderStyle, transparent: this.options.alphaThreshold > 0, ...drawOptions
+            });
         }
+
+        return this.currentFrameData;
     }
 
-    // Static drawer for use by Decoder too
-    static drawFrame(ctx, frameData) {
+    // Static drawer for use by Decoder too. `style` is a render style (utils/RenderStyle.js; the
+    // classic white-on-black look when omitted). With `transparent` the canvas is cleared instead
+    // of filled, so empty (TRANSPARENT) cells stay see-through; the context needs alpha for that.
+    // `effects` is a playback-time effect stack (utils/Effects.js) drawn at `time` (ms).
+    static drawFrame(ctx, frameData, { transparent = false, style = null, effects = null, time = 0 } = {}) {
         // Handle legacy format (just a string)
         if (typeof frameData === 'string') {
             const lines = frameData.split('\n').filter(l => l.length > 0);
@@ -316,28 +736,30 @@ export class AsciiProcessor {
 
         // Handle missing colors (legacy format)
         if (!frameData.colors) {
-            const textLen = frameData.text.replace(/\n/g, '').length;
-            frameData.colors = new Array(textLen).fill(-1);
+            frameData.colors = new Array(frameData.width * frameData.height).fill(-1);
         }
 
-        const { text, colors, width, height, charSize = 10 } = frameData;
+        const { colors, bgColors, palette, width, height, charSize = 10 } = frameData;
+        const depth = frameData.colorDepth || 12;
+        const toRgb = (c) => (palette ? unpackColor(palette[c] || 0, 24) : unpackColor(c, depth));
         const canvas = ctx.canvas;
 
-        const font = `${charSize}px "JetBrains Mono", monospace`;
+        const renderStyle = resolveRenderStyle(style);
+        const font = getStyleFont(renderStyle, charSize);
         ctx.font = font;
 
         // Measure widest glyph used in this frame to avoid overlap with variable-width symbols.
-        const fallbackW = charSize * 0.6;
-        let measuredW = ctx.measureText('M').width || fallbackW;
-        const sample = Array.from(frameData.charset || '').filter((c) => c !== '\n');
-        if (sample.length > 0) {
-            for (const ch of sample) {
-                const w = ctx.measureText(ch).width;
-                if (w > measuredW) measuredW = w;
-            }
-        }
-        const charW = measuredW || fallbackW;
-        const charH = charSize;
+        // Letter spacing and line height grow the cell; glyphs sit centred in it.
+        const sample = toGlyphs(frameData.charset || '');
+        const glyphW = measureCellWidth(sample, { fontFamily: renderStyle.fontFamily, fontWeight: renderStyle.fontWeight, charSize, ctx }) || charSize * 0.6;
+        const charW = Math.max(1, glyphW + renderStyle.letterSpacing * charSize);
+        const charH = Math.max(1, Math.round(charSize * renderStyle.lineHeight));
+        const textX = (charW - glyphW) / 2;
+        const textY = (charH - charSize) / 2;
+        // With wide glyphs (CJK, emoji) in the charset the cell is as wide as they are; narrower
+        // glyphs are then centred by their own width.
+        const wideCells = sample.some((g) => glyphColumns(g) === 2);
+        const glyphOffsets = new Map();
 
         const targetW = Math.ceil(width * charW);
         const targetH = Math.ceil(height * charH);
@@ -347,77 +769,109 @@ export class AsciiProcessor {
             canvas.height = targetH;
         }
 
-        ctx.fillStyle = '#000000';
-        ctx.fillRect(0, 0, targetW, targetH);
+        if (transparent) {
+            ctx.clearRect(0, 0, targetW, targetH);
+        } else {
+            ctx.fillStyle = renderStyle.background;
+            ctx.fillRect(0, 0, targetW, targetH);
+        }
 
         ctx.font = font;
         ctx.textAlign = 'left';
         ctx.textBaseline = 'top';
 
-
-        let colorIndex = 0;
-        let x = 0;
-        let y = 0;
-
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            if (char === '\n') {
-                x = 0;
-                y++;
-                continue;
-            }
-
-            const col = colors ? colors[colorIndex++] : -1;
+        // Playback-time effects (utils/Effects.js) see each glyph colour as RGB.
+        const activeEffects = getActiveEffects(effects);
+        const cellEffects = activeEffects ? activeEffects.filter((e) => e.effect.cell) : [];
+        const env = { time, cols: width, rows: height, width: targetW, height: targetH, cellW: charW, cellH: charH };
+        const fxCell = {};
+        const foregroundRgb = unpackColor(parsePaletteHex([renderStyle.foreground])[0] ?? 0xffffff, 24);
+        const modeDef = AsciiProcessor.getMode(frameData.mode);
+
+        // One grapheme cluster per cell: emoji, combining marks and sextants are all multi-unit.
+        const cells = getFrameCells(frameData);
+
+        for (let cellIndex = 0; cellIndex < cells.length; cellIndex++) {
+            const char = cells[cellIndex];
+            const x = cellIndex % width;
+            const y = Math.floor(cellIndex / width);
+            const bgCol = bgColors ? bgColors[cellIndex] : -1;
+            const col = colors ? colors[cellIndex] : -1;
             const colorMode = frameData.colorMode || 'mono';
 
+            if (col === TRANSPARENT) continue;
+
+            let px = x * charW;
+            let py = y * charH;
+            let fgStyle;
+            let hue = 0;
             if (colorMode === 'rainbow') {
                 const res = frameData.resolution || 100;
                 // Proportional rainbow: x determines base hue, y adds a slight wave
-                const hue = ((x / res) * 360 + (y * 2)) % 360;
-                ctx.fillStyle = `hsl(${hue}, 90%, 65%)`;
+                hue = ((x / res) * 360 + (y * 2)) % 360;
+                fgStyle = `hsl(${hue}, 90%, 65%)`;
             } else if (col === -1) {
-                ctx.fillStyle = '#ffffff';
+                fgStyle = renderStyle.foreground;
             } else {
-                const depth = frameData.colorDepth || 12;
-                let r, g, b;
-
-                if (depth === 4) {
-                    r = ((col >> 3) & 0x1) * 255;
-                    g = ((col >> 1) & 0x3) * 85;
-                    b = (col & 0x1) * 255;
-                } else if (depth === 8) {
-                    r = ((col >> 5) & 0x7) * 36;
-                    g = ((col >> 2) & 0x7) * 36;
-                    b = (col & 0x3) * 85;
-                } else if (depth === 12) {
-                    r = ((col >> 8) & 0xF) * 17;
-                    g = ((col >> 4) & 0xF) * 17;
-                    b = (col & 0xF) * 17;
-                } else {
-                    r = (col >> 16) & 0xFF;
-                    g = (col >> 8) & 0xFF;
-                    b = col & 0xFF;
-                }
-                ctx.fillStyle = `rgb(${r},${g},${b})`;
+                const [r, g, b] = toRgb(col);
+                fgStyle = `rgb(${r},${g},${b})`;
             }
 
-            if (frameData.mode === 'block') {
-                const px = x * charW;
-                const py = y * charH;
-                const halfH = Math.ceil(charH / 2);
-
-                if (char === '█') {
-                    ctx.fillRect(px, py, charW, charH);
-                } else if (char === '▀') {
-                    ctx.fillRect(px, py, charW, halfH);
-                } else if (char === '▄') {
-                    ctx.fillRect(px, py + (charH - halfH), charW, halfH);
-                }
+            if (cellEffects.length > 0) {
+                let base;
+                if (colorMode === 'rainbow') base = hslToRgb(hue, 0.9, 0.65);
+                else if (col === -1) base = foregroundRgb;
+                else base = toRgb(col);
+
+                fxCell.col = x;
+                fxCell.row = y;
+                fxCell.index = cellIndex;
+                fxCell.r = base[0]; fxCell.g = base[1]; fxCell.b = base[2];
+                fxCell.visible = true;
+                fxCell.dx = 0;
+                fxCell.dy = 0;
+                for (const { effect, params } of cellEffects) effect.cell(fxCell, params, env);
+
+                if (!fxCell.visible) continue;
+                fgStyle = `rgb(${Math.round(fxCell.r)},${Math.round(fxCell.g)},${Math.round(fxCell.b)})`;
+                px += fxCell.dx * charW;
+                py += fxCell.dy * charH;
+            }
+
+            let bgStyle = null;
+            if (bgCol !== -1) {
+                const [r, g, b] = toRgb(bgCol);
+                bgStyle = `rgb(${r},${g},${b})`;
+            }
+
+            // Per-cell background behind the glyph (two-colour modes paint their own)
+            if (bgStyle && !modeDef.twoColor) {
+                ctx.fillStyle = bgStyle;
+                ctx.fillRect(Math.floor(px), py, Math.ceil(charW) + 1, charH);
+            }
+
+            ctx.fillStyle = fgStyle;
+
+            if (modeDef.drawCell) {
+                modeDef.drawCell(ctx, char, { x: px, y: py, width: charW, height: charH, bgStyle });
             } else {
-                // Draw text in non-block modes.
-                ctx.fillText(char, x * charW, y * charH);
+                // Modes without their own drawing are plain text.
+                let offsetX = textX;
+                if (wideCells) {
+                    offsetX = glyphOffsets.get(char);
+                    if (offsetX === undefined) {
+                        offsetX = (charW - ctx.measureText(char).width) / 2;
+                        glyphOffsets.set(char, offsetX);
+                    }
+                }
+                ctx.fillText(char, px + offsetX, py + textY);
+            }
+        }
+
+        if (activeEffects) {
+            for (const { effect, params } of activeEffects) {
+                if (effect.overlay) effect.overlay(ctx, params, env);
             }
-            x++;
         }
     }
 }
@@ -0,0 +1,99 @@
+// Text banners as frame data: renderFiglet lays the text out in a FIGlet font and each character
+// becomes a cell, so drawFrame, the encoder and the text/PNG exports take banners like any frame.
+// Colours come from the processor's colour modes: a solid `color` (bit depth or palette), mono,
+// rainbow, or a gradient / duotone map spread across the banner instead of along luminance.
+
+import { AsciiProcessor } from './AsciiProcessor.js';
+import { renderFiglet } from '../utils/Figlet.js';
+import { GRADIENT_PRESETS, buildGradientLut } from '../utils/Gradients.js';
+import { parsePaletteHex, quantizeToPalette } from '../utils/Palettes.js';
+import { packColor } from '../utils/ColorPacking.js';
+
+export const DEFAULT_BANNER_OPTIONS = {
+    layout: 'default', // 'default' (the font's), 'full', 'fitted', 'smush' or 'universal' (utils/Figlet.js)
+    padding: 1, // Empty cells around the banner
+    charSize: 12,
+    colorMode: 'rainbow', // 'color' (solid `color`), 'mono', 'rainbow' (drawn), 'gradient' / 'duotone'
+    color: '#00d4aa',
+    gradientStops: GRADIENT_PRESETS.vaporwave.map((stop) => stop.slice()),
+    gradientDirection: 'horizontal', // 'horizontal', 'vertical' or 'diagonal'
+    colorDepth: 8,
+    palette: 'none', // 'none' (bit depth), a fixed palette from utils/Palettes.js, or 'custom'
+    customPalette: '',
+    colorDither: false
+};
+
+// Frame data for `text` in a parsed FIGlet `font` (see parseFiglet).
+export function createBannerFrame(text, font, options = {}) {
+    const opts = { ...DEFAULT_BANNER_OPTIONS, ...options };
+    const pad = Math.max(0, opts.padding | 0);
+    const rows = renderFiglet(text, font, { layout: opts.layout });
+
+    const innerW = rows.reduce((w, row) => Math.max(w, Array.from(row).length), 0);
+    const width = Math.max(1, innerW + pad * 2);
+    const height = Math.max(1, rows.length + pad * 2);
+
+    // Glyph table in order of appearance, space first
+    const charset = [' '];
+    const glyphIndex = new Map([[' ', 0]]);
+    const charIndices = new Array(width * height).fill(0);
+    rows.forEach((row, y) => {
+        Array.from(row).forEach((ch, x) => {
+            if (!glyphIndex.has(ch)) {
+                glyphIndex.set(ch, charset.length);
+                charset.push(ch);
+            }
+            charIndices[(y + pad) * width + x + pad] = glyphIndex.get(ch);
+        });
+    });
+
+    let frameText = '';
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) frameText += charset[charIndices[y * width + x]];
+        frameText += '\n';
+    }
+
+    const { colorMode } = opts;
+    const palette = colorMode === 'color' ? AsciiProcessor.resolveFixedPalette(opts) : null;
+    const depth = palette ? 24 : opts.colorDepth;
+    let colors = null;
+
+    if (colorMode === 'color' || colorMode === 'gradient' || colorMode === 'duotone') {
+        colors = new Int32Array(width * height).fill(-1);
+        const solid = parsePaletteHex([opts.color])[0] ?? 0xffffff;
+        const lut = colorMode === 'color' ? null : buildGradientLut(opts.gradientStops, colorMode === 'duotone');
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (charIndices[i] === 0) continue;
+                let c = solid;
+                if (lut) {
+                    // Position along the banner's ink, 0-255
+                    const tx = innerW > 1 ? (x - pad) / (innerW - 1) : 0;
+                    const ty = rows.length > 1 ? (y - pad) / (rows.length - 1) : 0;
+                    const t = opts.gradientDirection === 'vertical' ? ty
+                        : opts.gradientDirection === 'diagonal' ? (tx + ty) / 2 : tx;
+                    c = lut[Math.max(0, Math.min(255, Math.round(t * 255)))];
+                }
+                colors[i] = packColor((c >> 16) & 0xff, (c >> 8) & 0xff, c & 0xff, depth);
+            }
+        }
+        if (palette) colors = quantizeToPalette(colors, width, height, palette, opts.colorDither);
+    }
+
+    return {
+        text: frameText,
+        charIndices,
+        colors: colors ? Array.from(colors) : null,
+        width,
+        height,
+        charSize: opts.charSize,
+        mode: 'banner',
+        colorDepth: opts.colorDepth,
+        colorMode,
+        palette: palette ? Array.from(palette) : undefined,
+        charset,
+        resolution: width
+    };
+}
@@ -0,0 +1,505 @@
+// Process modes: how a cell of process pixels becomes a glyph and its colours. Built-in modes
+// are registered here like any third-party mode (via AsciiProcessor.registerMode).
+//
+// A mode definition:
+//   label          Short name for the apps' mode buttons
+//   cellWidth      Process pixels per cell, horizontally; a number or `(options) => number`
+//   cellHeight     Same, vertically
+//   partialRows    The grid may end on part of a cell (block mode's half rows)
+//   charset        Frame charset (glyph per charIndices value): a string (split into grapheme
+//                  clusters), an array of glyphs, or a function of the options returning either.
+//                  Defaults to options.charset.
+//   twoColor       The mode fills `bgColors` itself and draws its own background
+//   usesCharset    The charset designer applies (apps)
+//   usesDither     Dither settings apply (apps)
+//   levelGlyphs    Glyphs follow the cell's luminance, so temporalStability may hold them while it
+//                  barely changes (not for modes that pick glyphs by shape, mask or colour)
+//   prepare(frame)                Optional per-frame setup; the result is `frame.state`
+//   mapCell(x, y, frame, cell)    Sets cell.index / cell.char / cell.color / cell.bgColor for the
+//                                 cell whose top-left process pixel is (x, y)
+//   drawCell(ctx, char, box)      Optional custom drawing; ctx.fillStyle is the glyph colour and
+//                                 box is { x, y, width, height, bgStyle }. Text is drawn otherwise.
+//
+// `frame` is { options, width, height (process pixels), pixelAspect (process pixel height / width
+// on screen), data (adjusted RGBA), luminance (before auto-level), levels (after auto-level, 0-255),
+// charset (array of glyphs), charsetLength, color (whether to pack colours), depth, state }. Colours are packed with `packCellColor(frame, r, g, b)`, which
+// returns -1 for frames without colour.
+
+import { getThresholdMatrix, getThresholdValue } from '../utils/BayerMatrix.js';
+import { diffuseError, isErrorDiffusion } from '../utils/ErrorDiffusion.js';
+import { packColor } from '../utils/ColorPacking.js';
+import { detectEdges, edgeGlyphIndex, EDGE_GLYPHS } from '../utils/EdgeDetect.js';
+import { getGlyphFeatures, matchGlyph } from '../utils/GlyphMetrics.js';
+import { resolveRenderStyle } from '../utils/RenderStyle.js';
+import { toGlyphs } from '../utils/Graphemes.js';
+import { getEmojiSet, getEmojiColors } from '../utils/Emoji.js';
+import { rgbToOklab } from '../utils/Palettes.js';
+
+export const MODES = {};
+
+export function registerMode(name, {
+    label = name, cellWidth = 1, cellHeight = 1, partialRows = false, charset = null, twoColor = false,
+    usesCharset = false, usesDither = false, levelGlyphs = false, prepare = null, mapCell, drawCell = null
+}) {
+    if (typeof mapCell !== 'function') throw new Error(`Mode ${name} needs a mapCell function`);
+    MODES[name] = {
+        name, label, cellWidth, cellHeight, partialRows, charset, twoColor, usesCharset, usesDither, levelGlyphs,
+        prepare, mapCell, drawCell
+    };
+}
+
+export function packCellColor(frame, r, g, b) {
+    return frame.color ? packColor(r, g, b, frame.depth) : -1;
+}
+
+// --- Helpers ---
+
+// Braille dot layout: [dx, dy, bit] for each of the 8 dots in a 2x4 cell.
+const BRAILLE_DOTS = [
+    [0, 0, 0x01], [0, 1, 0x02], [0, 2, 0x04], [1, 0, 0x08],
+    [1, 1, 0x10], [1, 2, 0x20], [0, 3, 0x40], [1, 3, 0x80]
+];
+
+// U+2800-U+28FF: the charset index of a braille glyph is its dot bitmask.
+const BRAILLE_CHARSET = Array.from({ length: 256 }, (_, i) => String.fromCharCode(0x2800 + i)).join('');
+
+// Quadrant glyphs indexed by mask (bit0 TL, bit1 TR, bit2 BL, bit3 BR).
+const QUADRANT_CHARSET = ' ▘▝▀▖▌▞▛▗▚▐▜▄▙▟█';
+
+// Sextant glyphs indexed by mask (bit0 TL, bit1 TR, bit2 ML, bit3 MR, bit4 BL, bit5 BR).
+// U+1FB00-U+1FB3B cover every mask except empty, full and the two vertical halves.
+const SEXTANT_CHARSET = Array.from({ length: 64 }, (_, mask) => {
+    if (mask === 0) return ' ';
+    if (mask === 21) return '▌';
+    if (mask === 42) return '▐';
+    if (mask === 63) return '█';
+    return String.fromCodePoint(0x1FB00 + mask - (mask > 42 ? 3 : mask > 21 ? 2 : 1));
+}).join('');
+
+// Picks the two-colour partition of n sub-pixels with the lowest squared error.
+// Returns the mask of the brighter group; `out` receives [fgR, fgG, fgB, bgR, bgG, bgB].
+function splitTwoColors(rs, gs, bs, lums, n, out) {
+    let bestMask = 0;
+    let bestErr = Infinity;
+    const full = (1 << n) - 1;
+
+    // Mask and its complement describe the same split, so only half need checking.
+    for (let mask = 0; mask < (1 << (n - 1)); mask++) {
+        let r0 = 0, g0 = 0, b0 = 0, n0 = 0;
+        let r1 = 0, g1 = 0, b1 = 0, n1 = 0;
+        for (let i = 0; i < n; i++) {
+            if (mask & (1 << i)) { r1 += rs[i]; g1 += gs[i]; b1 += bs[i]; n1++; }
+            else { r0 += rs[i]; g0 += gs[i]; b0 += bs[i]; n0++; }
+        }
+        if (n0) { r0 /= n0; g0 /= n0; b0 /= n0; }
+        if (n1) { r1 /= n1; g1 /= n1; b1 /= n1; }
+
+        let err = 0;
+        for (let i = 0; i < n; i++) {
+            const on = mask & (1 << i);
+            const dr = rs[i] - (on ? r1 : r0);
+            const dg = gs[i] - (on ? g1 : g0);
+            const db = bs[i] - (on ? b1 : b0);
+            err += dr * dr + dg * dg + db * db;
+        }
+        if (err < bestErr) {
+            bestErr = err;
+            bestMask = mask;
+        }
+    }
+
+    // Orient the split so the set bits are the brighter group.
+    let lumOn = 0, lumOff = 0, nOn = 0, nOff = 0;
+    for (let i = 0; i < n; i++) {
+        if (bestMask & (1 << i)) { lumOn += lums[i]; nOn++; } else { lumOff += lums[i]; nOff++; }
+    }
+    if (nOn === 0) {
+        // Flat cell: draw it as a full block when it is bright, empty otherwise.
+        if (lumOff / nOff > 127.5) bestMask = full;
+    } else if (nOff > 0 && lumOn / nOn < lumOff / nOff) {
+        bestMask = full & ~bestMask;
+    }
+
+    let fr = 0, fg = 0, fb = 0, fn = 0, br = 0, bg = 0, bb = 0, bn = 0;
+    for (let i = 0; i < n; i++) {
+        if (bestMask & (1 << i)) { fr += rs[i]; fg += gs[i]; fb += bs[i]; fn++; }
+        else { br += rs[i]; bg += gs[i]; bb += bs[i]; bn++; }
+    }
+    // Single-group cells use the same colour for both layers.
+    if (fn === 0) { fr = br; fg = bg; fb = bb; fn = bn; }
+    if (bn === 0) { br = fr; bg = fg; bb = fb; bn = fn; }
+    out[0] = Math.round(fr / fn); out[1] = Math.round(fg / fn); out[2] = Math.round(fb / fn);
+    out[3] = Math.round(br / bn); out[4] = Math.round(bg / bn); out[5] = Math.round(bb / bn);
+
+    return bestMask;
+}
+
+// Density glyph for a 0-255 level.
+function levelGlyph(frame, level, cell) {
+    const { charset, charsetLength } = frame;
+    let idx = Math.floor((level / 256) * charsetLength);
+    idx = Math.max(0, Math.min(idx, charsetLength - 1));
+    cell.index = idx;
+    cell.char = charset[idx];
+}
+
+function pixelColor(frame, x, y) {
+    const o = (y * frame.width + x) * 4;
+    return packCellColor(frame, frame.data[o], frame.data[o + 1], frame.data[o + 2]);
+}
+
+// Error-diffused indices for the whole frame when an error-diffusion algorithm is selected.
+function diffuseIfNeeded(frame, values, quantize, dequantize) {
+    if (!isErrorDiffusion(frame.options.ditherAlgorithm)) return null;
+    return diffuseError(values, frame.width, frame.height, frame.options.ditherAlgorithm, quantize, dequantize);
+}
+
+const ditherState = (frame) => ({
+    thresholdMatrix: getThresholdMatrix(frame.options.ditherMatrix),
+    ordered: frame.options.ditherAlgorithm === 'ordered'
+});
+
+// --- Built-in modes ---
+
+registerMode('grayscale', {
+    label: 'Gray',
+    usesCharset: true,
+    levelGlyphs: true,
+    mapCell(x, y, frame, cell) {
+        levelGlyph(frame, frame.levels[y * frame.width + x], cell);
+        cell.color = pixelColor(frame, x, y);
+    }
+});
+
+registerMode('dither', {
+    label: 'Dith',
+    usesCharset: true,
+    usesDither: true,
+    levelGlyphs: true,
+    prepare(frame) {
+        const { charsetLength } = frame;
+        const maxLevel = charsetLength - 1 || 1;
+        return {
+            ...ditherState(frame),
+            diffused: diffuseIfNeeded(frame, frame.levels,
+                (v) => Math.max(0, Math.min(charsetLength - 1, Math.round((v / 255) * maxLevel))),
+                (i) => (i / maxLevel) * 255)
+        };
+    },
+    mapCell(x, y, frame, cell) {
+        const { diffused, ordered, thresholdMatrix } = frame.state;
+        const { charsetLength } = frame;
+        let idx;
+        if (diffused) {
+            idx = diffused[y * frame.width + x];
+        } else {
+            const t = ordered ? getThresholdValue(thresholdMatrix, x, y) : 0.5;
+            const brightness = frame.levels[y * frame.width + x];
+            idx = Math.floor(((brightness / 256) + (t - 0.5) / charsetLength) * charsetLength);
+            idx = Math.max(0, Math.min(idx, charsetLength - 1));
+        }
+        cell.index = idx;
+        cell.char = frame.charset[idx];
+        cell.color = pixelColor(frame, x, y);
+    }
+});
+
+registerMode('binary', {
+    label: 'Bin',
+    usesDither: true,
+    levelGlyphs: true,
+    charset: ({ binaryDark, binaryLight }) => [binaryDark, binaryLight],
+    prepare(frame) {
+        // Thresholds the luminance before auto-level
+        const { binaryThreshold, binaryDark, binaryLight } = frame.options;
+        return {
+            ...ditherState(frame),
+            glyphs: toGlyphs([binaryDark, binaryLight]),
+            diffused: diffuseIfNeeded(frame, frame.luminance, (v) => (v > binaryThreshold ? 1 : 0), (i) => i * 255)
+        };
+    },
+    mapCell(x, y, frame, cell) {
+        const { diffused, ordered, thresholdMatrix, glyphs } = frame.state;
+        const { binaryThreshold } = frame.options;
+        if (diffused) {
+            cell.index = diffused[y * frame.width + x];
+        } else {
+            const t = ordered ? getThresholdValue(thresholdMatrix, x, y) : 0.5;
+            const dithered = frame.luminance[y * frame.width + x] + (t - 0.5) * 32;
+            cell.index = dithered > binaryThreshold ? 1 : 0;
+        }
+        cell.char = glyphs[cell.index];
+        cell.color = pixelColor(frame, x, y);
+    }
+});
+
+registerMode('block', {
+    label: 'Blok',
+    cellHeight: 2,
+    partialRows: true,
+    charset: ' ▀▄█',
+    mapCell(x, y, frame, cell) {
+        // Two pixels per cell: the top one sets the colour, each half is on or off.
+        const { width, height, levels } = frame;
+        const yB = Math.min(y + 1, height - 1);
+        const tOn = levels[y * width + x] > 127.5;
+        const bOn = levels[yB * width + x] > 127.5;
+
+        cell.index = tOn + (bOn << 1);
+        cell.char = ' ▀▄█'[cell.index];
+        cell.color = pixelColor(frame, x, y);
+    },
+    drawCell(ctx, char, { x, y, width, height }) {
+        const halfH = Math.ceil(height / 2);
+        if (char === '█') {
+            ctx.fillRect(x, y, width, height);
+        } else if (char === '▀') {
+            ctx.fillRect(x, y, width, halfH);
+        } else if (char === '▄') {
+            ctx.fillRect(x, y + (height - halfH), width, halfH);
+        }
+    }
+});
+
+registerMode('braille', {
+    label: 'Brl',
+    cellWidth: 2,
+    cellHeight: 4,
+    usesDither: true,
+    charset: BRAILLE_CHARSET,
+    prepare(frame) {
+        const { binaryThreshold } = frame.options;
+        return {
+            ...ditherState(frame),
+            diffused: diffuseIfNeeded(frame, frame.levels, (v) => (v > binaryThreshold ? 1 : 0), (i) => i * 255)
+        };
+    },
+    mapCell(x, y, frame, cell) {
+        const { diffused, ordered, thresholdMatrix } = frame.state;
+        const { width, height, data, levels } = frame;
+        const { binaryThreshold } = frame.options;
+        let bits = 0;
+        let litR = 0, litG = 0, litB = 0, lit = 0;
+        let sumR = 0, sumG = 0, sumB = 0, count = 0;
+
+        for (let d = 0; d < BRAILLE_DOTS.length; d++) {
+            const px = x + BRAILLE_DOTS[d][0];
+            const py = y + BRAILLE_DOTS[d][1];
+            if (px >= width || py >= height) continue;
+
+            const p = py * width + px;
+            let on;
+            if (diffused) {
+                on = diffused[p] === 1;
+            } else {
+                const t = ordered ? getThresholdValue(thresholdMatrix, px, py) : 0.5;
+                on = levels[p] + (t - 0.5) * 255 > binaryThreshold;
+            }
+
+            const o = p * 4;
+            sumR += data[o]; sumG += data[o + 1]; sumB += data[o + 2];
+            count++;
+            if (on) {
+                bits |= BRAILLE_DOTS[d][2];
+                litR += data[o]; litG += data[o + 1]; litB += data[o + 2];
+                lit++;
+            }
+        }
+
+        cell.index = bits;
+        cell.char = BRAILLE_CHARSET[bits];
+
+        // Colour comes from the lit dots; fall back to the cell average for empty cells.
+        if (lit > 0) {
+            cell.color = packCellColor(frame, Math.round(litR / lit), Math.round(litG / lit), Math.round(litB / lit));
+        } else {
+            const n = count || 1;
+            cell.color = packCellColor(frame, Math.round(sumR / n), Math.round(sumG / n), Math.round(sumB / n));
+        }
+    },
+    drawCell(ctx, char, { x, y, width, height }) {
+        // Paint dots directly so the output does not depend on the font's braille coverage.
+        const bits = char.charCodeAt(0) - 0x2800;
+        if (bits > 0 && bits < 256) {
+            const dotW = width / 2;
+            const dotH = height / 4;
+            const size = Math.max(1, Math.min(dotW, dotH) * 0.8);
+            for (let d = 0; d < BRAILLE_DOTS.length; d++) {
+                if (!(bits & BRAILLE_DOTS[d][2])) continue;
+                const cx = x + (BRAILLE_DOTS[d][0] + 0.5) * dotW;
+                const cy = y + (BRAILLE_DOTS[d][1] + 0.5) * dotH;
+                ctx.fillRect(cx - size / 2, cy - size / 2, size, size);
+            }
+        }
+    }
+});
+
+// Two-colour block modes: the best split of the sub-cell grid into a foreground and a
+// background colour. Sextants are outside the BMP, so glyphs are kept as an array and looked
+// up by mask rather than by string index.
+function registerSubcellMode(name, label, cols, rows, charset) {
+    const glyphs = Array.from(charset);
+    const masks = new Map(glyphs.map((ch, mask) => [ch, mask]));
+    const size = cols * rows;
+
+    registerMode(name, {
+        label,
+        cellWidth: cols,
+        cellHeight: rows,
+        charset,
+        twoColor: true,
+        prepare: () => ({
+            subR: new Float32Array(size), subG: new Float32Array(size), subB: new Float32Array(size),
+            subL: new Float32Array(size), split: new Int32Array(6)
+        }),
+        mapCell(x, y, frame, cell) {
+            const { subR, subG, subB, subL, split } = frame.state;
+            const { width, height, data, levels } = frame;
+            let n = 0;
+            for (let sy = 0; sy < rows; sy++) {
+                for (let sx = 0; sx < cols; sx++) {
+                    const p = Math.min(y + sy, height - 1) * width + Math.min(x + sx, width - 1);
+                    subR[n] = data[p * 4]; subG[n] = data[p * 4 + 1]; subB[n] = data[p * 4 + 2];
+                    subL[n] = levels[p];
+                    n++;
+                }
+            }
+
+            if (frame.color) {
+                cell.index = splitTwoColors(subR, subG, subB, subL, n, split);
+                cell.color = packColor(split[0], split[1], split[2], frame.depth);
+                cell.bgColor = packColor(split[3], split[4], split[5], frame.depth);
+            } else {
+                // Without colour the split would only add noise; threshold like block mode.
+                let idx = 0;
+                for (let i = 0; i < n; i++) {
+                    if (subL[i] > 127.5) idx |= (1 << i);
+                }
+                cell.index = idx;
+            }
+            cell.char = glyphs[cell.index];
+        },
+        drawCell(ctx, char, { x, y, width, height, bgStyle }) {
+            const mask = masks.get(char) || 0;
+            const fgStyle = ctx.fillStyle;
+
+            // Rounded edges keep neighbouring sub-rectangles seamless.
+            for (let sy = 0; sy < rows; sy++) {
+                const y0 = Math.round(y + (sy * height) / rows);
+                const y1 = Math.round(y + ((sy + 1) * height) / rows);
+                for (let sx = 0; sx < cols; sx++) {
+                    const on = mask & (1 << (sy * cols + sx));
+                    if (!on && !bgStyle) continue;
+                    const x0 = Math.round(x + (sx * width) / cols);
+                    const x1 = Math.round(x + ((sx + 1) * width) / cols);
+                    ctx.fillStyle = on ? fgStyle : bgStyle;
+                    ctx.fillRect(x0, y0, x1 - x0, y1 - y0);
+                }
+            }
+        }
+    });
+}
+
+registerSubcellMode('quadrant', 'Quad', 2, 2, QUADRANT_CHARSET);
+registerSubcellMode('sextant', 'Sext', 2, 3, SEXTANT_CHARSET);
+
+registerMode('edge', {
+    label: 'Edge',
+    usesCharset: true,
+    // Edge glyphs are appended after the density charset
+    charset: ({ charset }) => [...toGlyphs(charset), ...EDGE_GLYPHS],
+    prepare: (frame) => ({ edges: detectEdges(frame.luminance, frame.width, frame.height, frame.options.edgeOperator, frame.pixelAspect) }),
+    mapCell(x, y, frame, cell) {
+        const p = y * frame.width + x;
+        const { edges } = frame.state;
+        // Orientation glyphs where the gradient is strong, density glyphs elsewhere.
+        if (edges.magnitude[p] > frame.options.edgeThreshold) {
+            const edgeIdx = edgeGlyphIndex(edges.angle[p]);
+            cell.index = frame.charsetLength + edgeIdx;
+            cell.char = EDGE_GLYPHS[edgeIdx];
+        } else {
+            levelGlyph(frame, frame.levels[p], cell);
+        }
+        cell.color = pixelColor(frame, x, y);
+    }
+});
+
+const shapeGrid = (options) => String(options.shapeGrid || '3x3').split('x').map((n) => parseInt(n, 10) || 3);
+
+registerMode('shape', {
+    label: 'Shape',
+    usesCharset: true,
+    cellWidth: (options) => shapeGrid(options)[0],
+    cellHeight: (options) => shapeGrid(options)[1],
+    prepare(frame) {
+        // Match each cell's sub-pixel luminance against rasterised glyph coverage.
+        const { options } = frame;
+        const [cols, rows] = shapeGrid(options);
+        const { fontFamily, fontWeight } = resolveRenderStyle(options.renderStyle);
+        const glyphFeatures = getGlyphFeatures(frame.charset, { fontFamily, fontWeight, charSize: options.charSize, cols, rows });
+        if (!glyphFeatures) console.warn('Shape mode needs a canvas to rasterise glyphs; falling back to luminance mapping.');
+        return { cols, rows, glyphFeatures, shapeCell: new Float32Array(cols * rows) };
+    },
+    mapCell(x, y, frame, cell) {
+        const { cols, rows, glyphFeatures, shapeCell } = frame.state;
+        const { width, height, data, levels, charsetLength } = frame;
+        let sr = 0, sg = 0, sb = 0, lumSum = 0, n = 0;
+        for (let sy = 0; sy < rows; sy++) {
+            for (let sx = 0; sx < cols; sx++) {
+                const p = Math.min(y + sy, height - 1) * width + Math.min(x + sx, width - 1);
+                const br = levels[p];
+                shapeCell[n++] = br / 255;
+                lumSum += br;
+                sr += data[p * 4]; sg += data[p * 4 + 1]; sb += data[p * 4 + 2];
+            }
+        }
+
+        let idx;
+        if (glyphFeatures) {
+            idx = matchGlyph(glyphFeatures, shapeCell, charsetLength);
+        } else {
+            idx = Math.max(0, Math.min(Math.floor((lumSum / n / 256) * charsetLength), charsetLength - 1));
+        }
+        cell.index = idx;
+        cell.char = frame.charset[idx];
+        cell.color = packCellColor(frame, Math.round(sr / n), Math.round(sg / n), Math.round(sb / n));
+    }
+});
+
+registerMode('emoji', {
+    label: 'Emoji',
+    charset: ({ emojiSet }) => getEmojiSet(emojiSet),
+    prepare(frame) {
+        // Average colour of each emoji in the render font, in OKLab for matching
+        const glyphs = getEmojiSet(frame.options.emojiSet);
+        const { fontFamily } = resolveRenderStyle(frame.options.renderStyle);
+        const labs = getEmojiColors(glyphs, { fontFamily }).map(([r, g, b]) => rgbToOklab(r, g, b));
+        return { glyphs, labs, matches: new Map() };
+    },
+    mapCell(x, y, frame, cell) {
+        const { glyphs, labs, matches } = frame.state;
+        const o = (y * frame.width + x) * 4;
+        const r = frame.data[o], g = frame.data[o + 1], b = frame.data[o + 2];
+
+        const key = (r << 16) | (g << 8) | b;
+        let idx = matches.get(key);
+        if (idx === undefined) {
+            const [L, A, B] = rgbToOklab(r, g, b);
+            let bestErr = Infinity;
+            for (let i = 0; i < labs.length; i++) {
+                const dL = labs[i][0] - L, dA = labs[i][1] - A, dB = labs[i][2] - B;
+                const err = dL * dL + dA * dA + dB * dB;
+                if (err < bestErr) {
+                    bestErr = err;
+                    idx = i;
+                }
+            }
+            matches.set(key, idx);
+        }
+
+        cell.index = idx;
+        cell.char = glyphs[idx];
+        // Only visible where the font has no colour emoji and draws them in the fill colour
+        cell.color = packCellColor(frame, r, g, b);
+    }
+});
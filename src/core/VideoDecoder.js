@@ -1,8 +1,11 @@
+import { toGlyphs, getFrameCells, joinFrameCells } from '../utils/Graphemes.js';
+
 export class VideoDecoder {
     constructor() {
         this.data = null;
         this.isPlaying = false;
         this.startTime = 0;
+        this.renderStyle = null; // Render style from the file metadata, for AsciiProcessor.drawFrame
 
         // Reconstruction State
         this.reconstructedFrame = null;
@@ -26,6 +29,7 @@ export class VideoDecoder {
                 throw new Error("Invalid schema.");
             }
 
+            this.renderStyle = this.data.meta?.renderStyle || null;
             this.resetState();
             console.log('Video loaded', this.data.meta);
             return this.data.meta || { frameCount: this.data.frames.length };
@@ -40,6 +44,51 @@ export class VideoDecoder {
         this.lastProcessedIndex = -1;
     }
 
+    // Frame after applying a stored frame to `reconstructed` (the frame before it, or null).
+    // Full frames are copied; delta frames patch `reconstructed` in place. Text is patched per
+    // cell (grapheme cluster), so multi-unit glyphs never shift the rows.
+    static applyFrame(reconstructed, frame) {
+        if (frame.type === 'f' || !frame.type) { // Full Frame
+            // Deep copy to avoid mutating source data
+            return JSON.parse(JSON.stringify(frame.d));
+        }
+        if (frame.type !== 'd' || !reconstructed) return reconstructed;
+
+        // Patch Colors
+        if (frame.cd) {
+            for (let j = 0; j < frame.cd.length; j += 2) {
+                reconstructed.colors[frame.cd[j]] = frame.cd[j + 1];
+            }
+        }
+        // Patch Background Colors
+        if (frame.bd && reconstructed.bgColors) {
+            for (let j = 0; j < frame.bd.length; j += 2) {
+                reconstructed.bgColors[frame.bd[j]] = frame.bd[j + 1];
+            }
+        }
+        // Patch Text (Legacy): glyphs by cell index
+        if (frame.td) {
+            const { width, height, text } = reconstructed;
+            const cells = getFrameCells({ width, height, text });
+            for (let j = 0; j < frame.td.length; j += 2) {
+                cells[frame.td[j]] = frame.td[j + 1];
+            }
+            reconstructed.text = joinFrameCells(cells, width);
+        }
+        // Patch Indices (New Optimized)
+        if (frame.id) {
+            const cells = getFrameCells(reconstructed);
+            const charset = toGlyphs(reconstructed.charset || ' .:-=+*#%@');
+            for (let j = 0; j < frame.id.length; j += 2) {
+                cells[frame.id[j]] = charset[frame.id[j + 1]] || ' ';
+                if (reconstructed.charIndices) reconstructed.charIndices[frame.id[j]] = frame.id[j + 1];
+            }
+            reconstructed.text = joinFrameCells(cells, reconstructed.width);
+        }
+        return reconstructed;
+    }
+
+    // `onFrame(frame, time)` gets the playback time in ms as well, for time-based effects.
     play(onFrame, onFinish) {
         if (!this.data) return;
         this.isPlaying = true;
@@ -48,7 +97,9 @@ export class VideoDecoder {
 
         if (this.data.frames.length === 1) {
             const f = this.data.frames[0];
-            onFrame(f.type === 'f' ? f.d : f.d); // Should be full
+            this.reconstructedFrame = JSON.parse(JSON.stringify(f.d)); // Should be full
+            this.lastProcessedIndex = 0;
+            onFrame(this.reconstructedFrame, 0);
             return;
         }
 
@@ -80,72 +131,12 @@ export class VideoDecoder {
 
         // Apply all frames from last processed up to current
         for (let i = this.lastProcessedIndex + 1; i <= frameIndex; i++) {
-            const frame = this.data.frames[i];
-
-            if (frame.type === 'f' || !frame.type) { // Full Frame
-                // Deep copy to avoid mutating source data
-                this.reconstructedFrame = JSON.parse(JSON.stringify(frame.d));
-            } else if (frame.type === 'd' && this.reconstructedFrame) { // Delta Frame
-                // Patch Colors
-                if (frame.cd) {
-                    for (let j = 0; j < frame.cd.length; j += 2) {
-                        const idx = frame.cd[j];
-                        const val = frame.cd[j + 1];
-                        this.reconstructedFrame.colors[idx] = val;
-                    }
-                }
-                // Patch Text (Legacy)
-                if (frame.td) {
-                    const textChars = Array.from(this.reconstructedFrame.text);
-                    const width = this.reconstructedFrame.width;
-
-                    for (let j = 0; j < frame.td.length; j += 2) {
-                        const dataIdx = frame.td[j];
-                        const char = frame.td[j + 1];
-
-                        // Convert data index to text index (accounting for newlines)
-                        const row = Math.floor(dataIdx / width);
-                        const col = dataIdx % width;
-                        const textIdx = row * (width + 1) + col;
-
-                        textChars[textIdx] = char;
-                    }
-                    this.reconstructedFrame.text = textChars.join('');
-                }
-                // Patch Indices (New Optimized)
-                if (frame.id) {
-                    const textChars = Array.from(this.reconstructedFrame.text);
-                    const charset = this.reconstructedFrame.charset || ' .:-=+*#%@';
-                    const width = this.reconstructedFrame.width;
-
-                    // Build a mapping from data index (excluding newlines) to text index (including newlines)
-                    // Each row has 'width' characters plus 1 newline
-                    for (let j = 0; j < frame.id.length; j += 2) {
-                        const dataIdx = frame.id[j]; // Index in the data array (no newlines)
-                        const paletteIdx = frame.id[j + 1];
-
-                        // Convert data index to text index (accounting for newlines)
-                        const row = Math.floor(dataIdx / width);
-                        const col = dataIdx % width;
-                        const textIdx = row * (width + 1) + col; // +1 for newline per row
-
-                        textChars[textIdx] = charset[paletteIdx] || ' ';
-                    }
-                    this.reconstructedFrame.text = textChars.join('');
-
-                    // Update the frame's internal index tracking if needed
-                    if (this.reconstructedFrame.charIndices) {
-                        for (let j = 0; j < frame.id.length; j += 2) {
-                            this.reconstructedFrame.charIndices[frame.id[j]] = frame.id[j + 1];
-                        }
-                    }
-                }
-            }
+            this.reconstructedFrame = VideoDecoder.applyFrame(this.reconstructedFrame, this.data.frames[i]);
             this.lastProcessedIndex = i;
         }
 
         if (this.reconstructedFrame) {
-            onFrame(this.reconstructedFrame);
+            onFrame(this.reconstructedFrame, currentTime);
         }
 
         requestAnimationFrame(() => this.loop(onFrame, onFinish));
@@ -1,3 +1,15 @@
+import { resolveRenderStyle } from '../utils/RenderStyle.js';
+
+// Palette and glyph indices are only comparable between frames that share the same table.
+function sameTable(a, b) {
+    if (!a || !b) return a === b;
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
 export class VideoEncoder {
     constructor() {
         this.frames = [];
@@ -5,10 +17,14 @@ export class VideoEncoder {
         this.lastFrameData = null;
         this.framesSinceKeyframe = 0;
         this.keyframeInterval = 30; // Every 30 frames is a full frame
+        this.renderStyle = null;
     }
 
-    start() {
+    // `renderStyle` (utils/RenderStyle.js) is saved in the file metadata so players draw the
+    // frames the way they were previewed.
+    start({ renderStyle = null } = {}) {
         this.frames = [];
+        this.renderStyle = renderStyle ? resolveRenderStyle(renderStyle) : null;
         this.isEncoding = true;
         this.lastFrameData = null;
         this.framesSinceKeyframe = 0;
@@ -20,20 +36,26 @@ export class VideoEncoder {
         const isKeyframe = !this.lastFrameData ||
             this.framesSinceKeyframe >= this.keyframeInterval ||
             this.lastFrameData.width !== frameData.width ||
-            this.lastFrameData.height !== frameData.height;
+            this.lastFrameData.height !== frameData.height ||
+            !this.lastFrameData.bgColors !== !frameData.bgColors ||
+            !sameTable(this.lastFrameData.palette, frameData.palette) ||
+            !sameTable(this.lastFrameData.charset, frameData.charset);
 
         let frameToStore;
 
         if (isKeyframe) {
+            // The histograms and variance are analysis aids and not part of the file format.
+            const { histogram, inputHistogram, variance, ...stored } = frameData;
             frameToStore = {
                 t: time,
                 type: 'f', // Full frame
-                d: frameData
+                d: stored
             };
             this.framesSinceKeyframe = 0;
         } else {
             // Compute Delta
             const colorDiff = [];
+            const bgDiff = [];
             const textDiff = [];
 
             // Colors Delta
@@ -48,6 +70,18 @@ export class VideoEncoder {
                 }
             }
 
+            // Background Colors Delta
+            const currentBg = frameData.bgColors;
+            const lastBg = this.lastFrameData.bgColors;
+
+            if (currentBg && lastBg) {
+                for (let i = 0; i < currentBg.length; i++) {
+                    if (currentBg[i] !== lastBg[i]) {
+                        bgDiff.push(i, currentBg[i]);
+                    }
+                }
+            }
+
             // Text Delta (Using Palette Indices)
             const currentIndices = frameData.charIndices;
             const lastIndices = this.lastFrameData.charIndices;
@@ -62,6 +96,7 @@ export class VideoEncoder {
                 t: time,
                 type: 'd', // Delta frame
                 cd: colorDiff.length > 0 ? colorDiff : undefined,
+                bd: bgDiff.length > 0 ? bgDiff : undefined, // 'bd' for Background Delta
                 id: textDiff.length > 0 ? textDiff : undefined // 'id' for Index Delta
             };
             this.framesSinceKeyframe++;
@@ -76,9 +111,10 @@ export class VideoEncoder {
 
         const data = {
             meta: {
-                version: 4, // 8-bit (3-3-2) Color + Palette Indexing support
+                version: 5, // Charsets as arrays of grapheme clusters (v4: 8-bit color + palette indexing)
                 date: new Date().toISOString(),
-                frameCount: this.frames.length
+                frameCount: this.frames.length,
+                renderStyle: this.renderStyle || undefined
             },
             frames: this.frames
         };
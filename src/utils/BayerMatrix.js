@@ -1,10 +1,145 @@
-export const BayerMatrix4x4 = [
-    [0, 8, 2, 10],
-    [12, 4, 14, 6],
-    [3, 11, 1, 9],
-    [15, 7, 13, 5]
-];
-
-export function getBayerValue(x, y) {
-    return BayerMatrix4x4[y % 4][x % 4];
+// --- Threshold matrices for ordered dithering ---
+// Each matrix is { size, levels, values } where `values` is a flat size*size array of ranks 0..levels-1.
+
+export const THRESHOLD_MATRICES = {
+    bayer2: { label: '2x2', size: 2 },
+    bayer4: { label: '4x4', size: 4 },
+    bayer8: { label: '8x8', size: 8 },
+    bayer16: { label: '16x16', size: 16 },
+    bluenoise: { label: 'Blue', size: 32 }
+};
+
+const matrixCache = new Map();
+
+// Recursive Bayer construction: M(2n) = [[4M, 4M+2], [4M+3, 4M+1]].
+function buildBayer(size) {
+    let m = [0];
+    let n = 1;
+    while (n < size) {
+        const next = new Array(n * n * 4);
+        const n2 = n * 2;
+        for (let y = 0; y < n; y++) {
+            for (let x = 0; x < n; x++) {
+                const v = m[y * n + x] * 4;
+                next[y * n2 + x] = v;
+                next[y * n2 + x + n] = v + 2;
+                next[(y + n) * n2 + x] = v + 3;
+                next[(y + n) * n2 + x + n] = v + 1;
+            }
+        }
+        m = next;
+        n = n2;
+    }
+    return Uint16Array.from(m);
+}
+
+// Void-and-cluster blue noise (Ulichney). Deterministic, so the texture is stable across frames.
+function buildBlueNoise(size, sigma = 1.5) {
+    const count = size * size;
+
+    // Toroidal Gaussian energy lookup by (dx, dy)
+    const kernel = new Float32Array(count);
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            const wx = Math.min(dx, size - dx);
+            const wy = Math.min(dy, size - dy);
+            kernel[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+        }
+    }
+
+    const energy = new Float32Array(count);
+    const pattern = new Uint8Array(count);
+    const addEnergy = (pos, sign) => {
+        const px = pos % size;
+        const py = Math.floor(pos / size);
+        for (let y = 0; y < size; y++) {
+            const ky = ((y - py + size) % size) * size;
+            for (let x = 0; x < size; x++) {
+                energy[y * size + x] += sign * kernel[ky + ((x - px + size) % size)];
+            }
+        }
+    };
+    const extreme = (wantSet, pickMax) => {
+        let best = -1;
+        let bestVal = pickMax ? -Infinity : Infinity;
+        for (let i = 0; i < count; i++) {
+            if (pattern[i] !== wantSet) continue;
+            if (pickMax ? energy[i] > bestVal : energy[i] < bestVal) {
+                bestVal = energy[i];
+                best = i;
+            }
+        }
+        return best;
+    };
+
+    // 1. Initial binary pattern: ~10% of pixels from a seeded LCG, then relaxed.
+    let seed = 12345;
+    const rand = () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return seed / 0x7fffffff;
+    };
+    const initial = Math.max(1, Math.floor(count / 10));
+    for (let placed = 0; placed < initial;) {
+        const pos = Math.floor(rand() * count);
+        if (pattern[pos]) continue;
+        pattern[pos] = 1;
+        addEnergy(pos, 1);
+        placed++;
+    }
+    for (let iter = 0; iter < count; iter++) {
+        const cluster = extreme(1, true);
+        pattern[cluster] = 0;
+        addEnergy(cluster, -1);
+        const voidPos = extreme(0, false);
+        if (voidPos === cluster) {
+            pattern[cluster] = 1;
+            addEnergy(cluster, 1);
+            break;
+        }
+        pattern[voidPos] = 1;
+        addEnergy(voidPos, 1);
+    }
+
+    const ranks = new Uint16Array(count);
+    const initialPattern = pattern.slice();
+    const initialEnergy = energy.slice();
+
+    // 2. Rank initial points by removing the tightest clusters first.
+    for (let rank = initial - 1; rank >= 0; rank--) {
+        const cluster = extreme(1, true);
+        pattern[cluster] = 0;
+        addEnergy(cluster, -1);
+        ranks[cluster] = rank;
+    }
+
+    // 3. Rank the rest by filling the largest voids.
+    pattern.set(initialPattern);
+    energy.set(initialEnergy);
+    for (let rank = initial; rank < count; rank++) {
+        const voidPos = extreme(0, false);
+        pattern[voidPos] = 1;
+        addEnergy(voidPos, 1);
+        ranks[voidPos] = rank;
+    }
+
+    return ranks;
+}
+
+// Matrix for a THRESHOLD_MATRICES name; unknown names fall back to bayer4.
+export function getThresholdMatrix(name = 'bayer4') {
+    if (!THRESHOLD_MATRICES[name]) name = 'bayer4';
+    if (matrixCache.has(name)) return matrixCache.get(name);
+
+    const { size } = THRESHOLD_MATRICES[name];
+    const values = name === 'bluenoise' ? buildBlueNoise(size) : buildBayer(size);
+    const matrix = { size, levels: size * size, values };
+
+    matrixCache.set(name, matrix);
+    return matrix;
+}
+
+// Normalised threshold in (0, 1) for the given matrix and pixel position.
+export function getThresholdValue(matrix, x, y) {
+    const { size, levels, values } = matrix;
+    return (values[(y % size) * size + (x % size)] + 0.5) / levels;
 }
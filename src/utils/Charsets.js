@@ -0,0 +1,63 @@
+import { measureGlyphDensity } from './GlyphMetrics.js';
+import { toGlyphs } from './Graphemes.js';
+
+// Presets for the charset designer. Only `standard` is hand-ordered; the rest are meant to be auto-sorted.
+export const CHARSET_PRESETS = {
+    standard: ' .:-=+*#%@',
+    detailed: ' .\'`^",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$',
+    blocks: ' ░▒▓█',
+    digits: ' 1234567890',
+    katakana: ' ｰｨｧｩｪｯｬｭｮｦｱｲｳｴｵｶｷｸｹｺｻｼｽｾｿﾀﾁﾂﾃﾄﾅﾆﾇﾈﾉﾊﾋﾌﾍﾎﾏﾐﾑﾒﾓﾔﾕﾖﾗﾘﾙﾚﾛﾜﾝ'
+};
+
+// Sorts a charset from lightest to densest as rendered in the given font.
+// `dedupe` drops repeated glyphs and glyphs with indistinguishable coverage;
+// `levels` (> 1) picks that many glyphs spread evenly across the density range.
+// `charset` is a string or an array of glyphs (grapheme clusters).
+// Returns { charset, densities } with the charset as an array of glyphs, or null when glyphs
+// cannot be rasterised (no canvas).
+export function sortCharsetByDensity(charset, { fontFamily, fontWeight, charSize = 10, dedupe = true, levels = 0 } = {}) {
+    let glyphs = toGlyphs(charset);
+    if (dedupe) glyphs = Array.from(new Set(glyphs));
+    if (glyphs.length === 0) return { charset: [], densities: [] };
+
+    const densities = measureGlyphDensity(glyphs, { fontFamily, fontWeight, charSize });
+    if (!densities) return null;
+
+    let entries = glyphs
+        .map((glyph, i) => ({ glyph, density: densities[i] }))
+        .sort((a, b) => a.density - b.density);
+
+    if (dedupe) {
+        // Compare with the last glyph kept, so a run of near-equal densities collapses to one glyph.
+        let last = -Infinity;
+        entries = entries.filter((e) => {
+            if (e.density - last <= 0.005) return false;
+            last = e.density;
+            return true;
+        });
+    }
+
+    if (levels > 1 && levels < entries.length) {
+        const min = entries[0].density;
+        const max = entries[entries.length - 1].density;
+        const picked = [];
+        let from = 0;
+        for (let k = 0; k < levels; k++) {
+            const target = min + ((max - min) * k) / (levels - 1);
+            // Greedy nearest match, never reusing or reordering glyphs.
+            let best = from;
+            for (let i = from; i <= entries.length - (levels - k); i++) {
+                if (Math.abs(entries[i].density - target) < Math.abs(entries[best].density - target)) best = i;
+            }
+            picked.push(entries[best]);
+            from = best + 1;
+        }
+        entries = picked;
+    }
+
+    return {
+        charset: entries.map((e) => e.glyph),
+        densities: entries.map((e) => e.density)
+    };
+}
@@ -0,0 +1,95 @@
+// Contrast-limited adaptive histogram equalisation on a 0-255 luminance map.
+// Each tile gets its own clipped-histogram mapping; pixels interpolate bilinearly between the
+// four nearest tile centres so tile borders don't show.
+
+// Returns { tilesX, tilesY, luts } with a 256-entry mapping per tile (row-major).
+// `clipLimit` is a multiple of the mean bin height; 0 disables clipping (plain AHE).
+export function computeClaheLuts(values, width, height, tilesX, tilesY, clipLimit = 2) {
+    tilesX = Math.max(1, Math.min(tilesX | 0, width));
+    tilesY = Math.max(1, Math.min(tilesY | 0, height));
+    const luts = new Float32Array(tilesX * tilesY * 256);
+    const hist = new Float32Array(256);
+
+    for (let ty = 0; ty < tilesY; ty++) {
+        const y0 = Math.floor((ty * height) / tilesY);
+        const y1 = Math.floor(((ty + 1) * height) / tilesY);
+        for (let tx = 0; tx < tilesX; tx++) {
+            const x0 = Math.floor((tx * width) / tilesX);
+            const x1 = Math.floor(((tx + 1) * width) / tilesX);
+
+            hist.fill(0);
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    hist[Math.max(0, Math.min(255, Math.floor(values[y * width + x])))]++;
+                }
+            }
+            const count = (x1 - x0) * (y1 - y0) || 1;
+
+            // Clip and spread the excess evenly over all bins.
+            if (clipLimit > 0) {
+                const limit = Math.max(1, (clipLimit * count) / 256);
+                let excess = 0;
+                for (let i = 0; i < 256; i++) {
+                    if (hist[i] > limit) {
+                        excess += hist[i] - limit;
+                        hist[i] = limit;
+                    }
+                }
+                const share = excess / 256;
+                for (let i = 0; i < 256; i++) hist[i] += share;
+            }
+
+            const base = (ty * tilesX + tx) * 256;
+            let acc = 0;
+            for (let i = 0; i < 256; i++) {
+                acc += hist[i];
+                luts[base + i] = (acc / count) * 255;
+            }
+        }
+    }
+
+    return { tilesX, tilesY, luts };
+}
+
+// Blends `current` towards `previous` (same grid) by `weight` (0 = current only). In place.
+export function smoothClaheLuts(current, previous, weight) {
+    if (!previous || weight <= 0) return current;
+    if (previous.tilesX !== current.tilesX || previous.tilesY !== current.tilesY) return current;
+
+    const cur = current.luts;
+    const prev = previous.luts;
+    for (let i = 0; i < cur.length; i++) {
+        cur[i] = prev[i] * weight + cur[i] * (1 - weight);
+    }
+    return current;
+}
+
+// Maps every value through the tile LUTs with bilinear interpolation between tile centres.
+export function applyClahe(values, width, height, { tilesX, tilesY, luts }) {
+    const out = new Float32Array(width * height);
+    const tileW = width / tilesX;
+    const tileH = height / tilesY;
+
+    for (let y = 0; y < height; y++) {
+        const gy = Math.max(0, Math.min(tilesY - 1, (y + 0.5) / tileH - 0.5));
+        const ty0 = Math.floor(gy);
+        const ty1 = Math.min(ty0 + 1, tilesY - 1);
+        const fy = gy - ty0;
+
+        for (let x = 0; x < width; x++) {
+            const gx = Math.max(0, Math.min(tilesX - 1, (x + 0.5) / tileW - 0.5));
+            const tx0 = Math.floor(gx);
+            const tx1 = Math.min(tx0 + 1, tilesX - 1);
+            const fx = gx - tx0;
+
+            const v = Math.max(0, Math.min(255, Math.floor(values[y * width + x])));
+            const a = luts[(ty0 * tilesX + tx0) * 256 + v];
+            const b = luts[(ty0 * tilesX + tx1) * 256 + v];
+            const c = luts[(ty1 * tilesX + tx0) * 256 + v];
+            const d = luts[(ty1 * tilesX + tx1) * 256 + v];
+            out[y * width + x] = (a * (1 - fx) + b * fx) * (1 - fy) + (c * (1 - fx) + d * fx) * fy;
+        }
+    }
+
+    return out;
+}
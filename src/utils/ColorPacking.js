@@ -0,0 +1,28 @@
+// Colour value for cells left empty by the alpha threshold. Like -1 (default colour) it is
+// never a packed colour or palette index; drawFrame skips these cells entirely.
+export const TRANSPARENT = -2;
+
+// Packs an 8-bit RGB triple into the integer layout used by frame `colors` for the given bit depth.
+// 4: 1-2-1, 8: 3-3-2, 12: 4-4-4, 24: 8-8-8.
+export function packColor(r, g, b, depth) {
+    if (depth === 4) {
+        return ((r >> 7) << 3) | ((g >> 6) << 1) | (b >> 7);
+    } else if (depth === 8) {
+        return ((r >> 5) << 5) | ((g >> 5) << 2) | (b >> 6);
+    } else if (depth === 12) {
+        return ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    }
+    return (r << 16) | (g << 8) | b;
+}
+
+// Inverse of packColor. Returns [r, g, b] in 0-255.
+export function unpackColor(col, depth) {
+    if (depth === 4) {
+        return [((col >> 3) & 0x1) * 255, ((col >> 1) & 0x3) * 85, (col & 0x1) * 255];
+    } else if (depth === 8) {
+        return [((col >> 5) & 0x7) * 36, ((col >> 2) & 0x7) * 36, (col & 0x3) * 85];
+    } else if (depth === 12) {
+        return [((col >> 8) & 0xF) * 17, ((col >> 4) & 0xF) * 17, (col & 0xF) * 17];
+    }
+    return [(col >> 16) & 0xFF, (col >> 8) & 0xFF, col & 0xFF];
+}
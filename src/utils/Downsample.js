@@ -0,0 +1,134 @@
+// Area-averaging downsampler for RGBA buffers. Filters in linear light (so a fine black/white
+// texture averages to mid grey rather than too dark) and reports the luminance variance of the
+// source pixels behind every output pixel. Colours are alpha-weighted, so fully transparent
+// pixels don't bleed into their neighbours. DOM-free, like PixelBuffer.
+
+import { SRGB_TO_LINEAR } from './Palettes.js';
+
+function linearToSrgb8(v) {
+    if (v <= 0) return 0;
+    if (v >= 1) return 255;
+    const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return Math.round(c * 255);
+}
+
+function lanczos3(x) {
+    if (x === 0) return 1;
+    if (x <= -3 || x >= 3) return 0;
+    const px = Math.PI * x;
+    return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
+}
+
+// Normalised source taps for each output position along one axis.
+function buildTaps(srcStart, srcLen, srcSize, dstLen, filter) {
+    const scale = srcLen / dstLen; // source pixels per output pixel
+    const stretch = Math.max(1, scale);
+    const halfWidth = filter === 'lanczos' ? 3 * stretch : stretch / 2;
+    const taps = new Array(dstLen);
+
+    for (let i = 0; i < dstLen; i++) {
+        const center = srcStart + (i + 0.5) * scale;
+        const lo = Math.max(0, Math.floor(center - halfWidth));
+        const hi = Math.min(srcSize - 1, Math.ceil(center + halfWidth));
+        const weights = new Float32Array(Math.max(0, hi - lo + 1));
+
+        let sum = 0;
+        for (let s = lo; s <= hi; s++) {
+            let w;
+            if (filter === 'lanczos') {
+                w = lanczos3((s + 0.5 - center) / stretch);
+            } else {
+                // Overlap of source pixel [s, s + 1) with the output footprint.
+                w = Math.max(0, Math.min(s + 1, center + halfWidth) - Math.max(s, center - halfWidth));
+            }
+            weights[s - lo] = w;
+            sum += w;
+        }
+        if (sum !== 0) {
+            for (let k = 0; k < weights.length; k++) weights[k] /= sum;
+        }
+        taps[i] = { start: lo, weights };
+    }
+
+    return taps;
+}
+
+// Resamples `data` (srcW x srcH) to dstW x dstH. `srcRect` / `dstRect` work like in
+// resizeNearest; pixels outside `dstRect` stay transparent black with zero variance.
+// Returns { data, variance } where variance is the linear-light luminance variance (0-0.25).
+export function downsampleLinear(data, srcW, srcH, dstW, dstH, { filter = 'box', srcRect = null, dstRect = null } = {}) {
+    const src = srcRect || { x: 0, y: 0, width: srcW, height: srcH };
+    const dst = dstRect || { x: 0, y: 0, width: dstW, height: dstH };
+    const out = new Uint8ClampedArray(dstW * dstH * 4);
+    const variance = new Float32Array(dstW * dstH);
+
+    const x0 = Math.max(0, dst.x), x1 = Math.min(dstW, dst.x + dst.width);
+    const y0 = Math.max(0, dst.y), y1 = Math.min(dstH, dst.y + dst.height);
+    if (x1 <= x0 || y1 <= y0) return { data: out, variance };
+
+    const xTaps = buildTaps(src.x, src.width, srcW, dst.width, filter).slice(x0 - dst.x, x1 - dst.x);
+    const yTaps = buildTaps(src.y, src.height, srcH, dst.height, filter).slice(y0 - dst.y, y1 - dst.y);
+    const cols = x1 - x0;
+
+    // Rows the vertical pass will read from.
+    const rowStart = yTaps[0].start;
+    const lastTap = yTaps[yTaps.length - 1];
+    const rowEnd = Math.max(rowStart, lastTap.start + lastTap.weights.length - 1);
+
+    // Horizontal pass: per source row and output column, [r, g, b, a, Y, Y^2] in linear light.
+    const CH = 6;
+    const rows = new Float32Array((rowEnd - rowStart + 1) * cols * CH);
+    for (let sy = rowStart; sy <= rowEnd; sy++) {
+        const rowBase = sy * srcW;
+        const outBase = (sy - rowStart) * cols * CH;
+        for (let i = 0; i < cols; i++) {
+            const { start, weights } = xTaps[i];
+            let r = 0, g = 0, b = 0, a = 0, lum = 0, lum2 = 0;
+            for (let k = 0; k < weights.length; k++) {
+                const w = weights[k];
+                if (w === 0) continue;
+                const o = (rowBase + start + k) * 4;
+                const wa = w * (data[o + 3] / 255);
+                const lr = SRGB_TO_LINEAR[data[o]];
+                const lg = SRGB_TO_LINEAR[data[o + 1]];
+                const lb = SRGB_TO_LINEAR[data[o + 2]];
+                const y = 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+                r += wa * lr; g += wa * lg; b += wa * lb;
+                a += wa;
+                lum += wa * y; lum2 += wa * y * y;
+            }
+            const o = outBase + i * CH;
+            rows[o] = r; rows[o + 1] = g; rows[o + 2] = b;
+            rows[o + 3] = a; rows[o + 4] = lum; rows[o + 5] = lum2;
+        }
+    }
+
+    // Vertical pass
+    for (let j = 0; j < yTaps.length; j++) {
+        const { start, weights } = yTaps[j];
+        const y = y0 + j;
+        for (let i = 0; i < cols; i++) {
+            let r = 0, g = 0, b = 0, a = 0, lum = 0, lum2 = 0;
+            for (let k = 0; k < weights.length; k++) {
+                const w = weights[k];
+                if (w === 0) continue;
+                const o = ((start + k - rowStart) * cols + i) * CH;
+                r += w * rows[o]; g += w * rows[o + 1]; b += w * rows[o + 2];
+                a += w * rows[o + 3]; lum += w * rows[o + 4]; lum2 += w * rows[o + 5];
+            }
+            const p = y * dstW + x0 + i;
+            const d = p * 4;
+            // Un-premultiply; `a` is the (weighted) mean alpha in 0-1.
+            const k = a > 1e-6 ? 1 / a : 0;
+            out[d] = linearToSrgb8(r * k);
+            out[d + 1] = linearToSrgb8(g * k);
+            out[d + 2] = linearToSrgb8(b * k);
+            out[d + 3] = Math.round(a * 255);
+            // Lanczos lobes can push this slightly negative
+            const mean = lum * k;
+            variance[p] = Math.max(0, lum2 * k - mean * mean);
+        }
+    }
+
+    return { data: out, variance };
+}
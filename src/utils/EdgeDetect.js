@@ -0,0 +1,48 @@
+// 3x3 gradient operators. Weights are for the centre column/row; corners use `side`.
+const OPERATORS = {
+    sobel: { side: 1, centre: 2, norm: 4 },
+    scharr: { side: 3, centre: 10, norm: 16 }
+};
+
+// Computes gradient magnitude and edge orientation for a luminance buffer.
+// `yScale` compensates for non-square pixels: the pixel height over its width (about 2 for text cells).
+// `angle` is the gradient direction in degrees (-180, 180], y pointing down.
+export function detectEdges(lum, width, height, operator = 'sobel', yScale = 1) {
+    const { side, centre, norm } = OPERATORS[operator] || OPERATORS.sobel;
+    const magnitude = new Float32Array(width * height);
+    const angle = new Float32Array(width * height);
+    const gyScale = 1 / (norm * yScale);
+
+    const at = (x, y) => lum[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const tl = at(x - 1, y - 1), tc = at(x, y - 1), tr = at(x + 1, y - 1);
+            const ml = at(x - 1, y), mr = at(x + 1, y);
+            const bl = at(x - 1, y + 1), bc = at(x, y + 1), br = at(x + 1, y + 1);
+
+            const gx = (side * (tr + br) + centre * mr - side * (tl + bl) - centre * ml) / norm;
+            const gy = (side * (bl + br) + centre * bc - side * (tl + tr) - centre * tc) * gyScale;
+
+            const p = y * width + x;
+            magnitude[p] = Math.sqrt(gx * gx + gy * gy);
+            angle[p] = Math.atan2(gy, gx) * 180 / Math.PI;
+        }
+    }
+
+    return { magnitude, angle };
+}
+
+export const EDGE_GLYPHS = '|/-_\\';
+
+// Index into EDGE_GLYPHS for a gradient pointing at `angle` (0 = left to right, 90 = top to bottom).
+// Top outlines (brighter below) use '_', bottom outlines '-'.
+export function edgeGlyphIndex(angle) {
+    const brighterBelow = angle > 0 && angle < 180;
+    const a = angle < 0 ? angle + 180 : (angle >= 180 ? angle - 180 : angle);
+
+    if (a < 22.5 || a >= 157.5) return 0; // vertical edge
+    if (a < 67.5) return 1;               // gradient down-right: edge rises to the right
+    if (a < 112.5) return brighterBelow ? 3 : 2;
+    return 4;                             // gradient down-left: edge falls to the right
+}
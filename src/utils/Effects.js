@@ -0,0 +1,206 @@
+// Playback-time effects for drawFrame. Unlike filters they never touch frame data: they are
+// applied while drawing, as a function of the playback time, so a still frame can shimmer,
+// scroll or glitch. A stack is an array of steps { type, enabled, params }, like a filter chain.
+//
+// An effect registers `cell(cell, params, env)` to change each cell before it is drawn and/or
+// `overlay(ctx, params, env)` to paint over the finished canvas. `cell` is
+// { col, row, index, r, g, b, visible, dx, dy } with the glyph colour in 0-255 and the offset in
+// cells; `env` is { time (ms), cols, rows, width, height (px), cellW, cellH }.
+// Everything random is hashed from the cell and time, so a given time always draws the same.
+
+import { createCanvas } from './GlyphMetrics.js';
+
+export const EFFECTS = {};
+
+export function registerEffect(name, { label = name, params = [], cell = null, overlay = null }) {
+    EFFECTS[name] = { name, label, params, cell, overlay };
+}
+
+// A new stack step with every parameter at its default.
+export function createEffectStep(type) {
+    const effect = EFFECTS[type];
+    if (!effect) throw new Error(`Unknown effect: ${type}`);
+    const params = {};
+    for (const p of effect.params) params[p.name] = p.default;
+    return { type, enabled: true, params };
+}
+
+// Enabled steps as { effect, params } with defaults filled in, or null when nothing is on.
+export function getActiveEffects(stack) {
+    if (!stack || stack.length === 0) return null;
+    const active = [];
+    for (const step of stack) {
+        const effect = EFFECTS[step.type];
+        if (!effect || step.enabled === false) continue;
+        active.push({ effect, params: { ...createEffectStep(step.type).params, ...step.params } });
+    }
+    return active.length > 0 ? active : null;
+}
+
+// --- Helpers ---
+
+// Deterministic 0-1 noise from two integers.
+function hash(a, b = 0) {
+    let h = Math.imul(a | 0, 374761393) ^ Math.imul((b | 0) + 0x9e3779b9, 668265263);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+export function hslToRgb(h, s, l) {
+    const k = (n) => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+function mixInto(cell, r, g, b, amount) {
+    cell.r += (r - cell.r) * amount;
+    cell.g += (g - cell.g) * amount;
+    cell.b += (b - cell.b) * amount;
+}
+
+// Scratch canvas for the CRT glow, reused between frames.
+let glowCanvas = null;
+
+// --- Built-in effects ---
+
+registerEffect('rainbow', {
+    label: 'Rainbow Cycle',
+    params: [
+        { name: 'speed', label: 'Speed (°/s)', min: -360, max: 360, step: 5, default: 90 },
+        { name: 'spread', label: 'Cycles Across', min: 0.25, max: 4, step: 0.25, default: 1 },
+        { name: 'mix', label: 'Mix', min: 0, max: 1, step: 0.05, default: 1 }
+    ],
+    cell(cell, { speed, spread, mix }, env) {
+        // Same hue layout as the static rainbow colour mode, shifted over time
+        const hue = ((cell.col / env.cols) * 360 * spread + cell.row * 2 + (env.time / 1000) * speed) % 360;
+        const [r, g, b] = hslToRgb((hue + 360) % 360, 0.9, 0.65);
+        mixInto(cell, r, g, b, mix);
+    }
+});
+
+registerEffect('matrix', {
+    label: 'Matrix Rain',
+    params: [
+        { name: 'speed', label: 'Speed (rows/s)', min: 1, max: 60, step: 1, default: 12 },
+        { name: 'trail', label: 'Trail (rows)', min: 2, max: 40, step: 1, default: 12 },
+        { name: 'base', label: 'Base Level', min: 0, max: 1, step: 0.05, default: 0.3 },
+        { name: 'mix', label: 'Mix', min: 0, max: 1, step: 0.05, default: 1 }
+    ],
+    cell(cell, { speed, trail, base, mix }, env) {
+        // One falling head per column, each with its own phase and speed
+        const span = env.rows + trail;
+        const colSpeed = speed * (0.6 + 0.8 * hash(cell.col, 1));
+        const head = ((env.time / 1000) * colSpeed + hash(cell.col, 2) * span) % span;
+        const behind = head - cell.row;
+
+        const lum = (0.2126 * cell.r + 0.7152 * cell.g + 0.0722 * cell.b) / 255;
+        if (behind >= 0 && behind < 1) {
+            mixInto(cell, 200, 255, 200, mix);
+            return;
+        }
+        const level = behind > 0 && behind < trail ? base + (1 - base) * (1 - behind / trail) : base;
+        const k = Math.max(0.15, lum) * level;
+        mixInto(cell, 40 * k, 255 * k, 70 * k, mix);
+    }
+});
+
+registerEffect('glitch', {
+    label: 'Glitch',
+    params: [
+        { name: 'amount', label: 'Amount', min: 0, max: 1, step: 0.01, default: 0.08 },
+        { name: 'shift', label: 'Max Shift (cells)', min: 1, max: 20, step: 1, default: 4 },
+        { name: 'band', label: 'Band (rows)', min: 1, max: 10, step: 1, default: 2 },
+        { name: 'rate', label: 'Rate (/s)', min: 1, max: 30, step: 1, default: 8 }
+    ],
+    cell(cell, { amount, shift, band, rate }, env) {
+        const slice = Math.floor((env.time / 1000) * rate);
+        const bandIndex = Math.floor(cell.row / band);
+        if (hash(bandIndex, slice) >= amount) return;
+
+        cell.dx = Math.round((hash(bandIndex + 7919, slice) * 2 - 1) * shift);
+        // Magenta or cyan fringe, like a misaligned colour channel
+        if (hash(bandIndex + 104729, slice) < 0.5) cell.g *= 0.25;
+        else cell.r *= 0.25;
+    }
+});
+
+registerEffect('typewriter', {
+    label: 'Typewriter',
+    params: [
+        { name: 'rate', label: 'Cells/s', min: 50, max: 10000, step: 50, default: 1500 },
+        { name: 'hold', label: 'Hold (s)', min: 0, max: 10, step: 0.5, default: 2 }
+    ],
+    cell(cell, { rate, hold }, env) {
+        // Reveals cells in reading order, holds the full frame, then starts over
+        const reveal = ((env.cols * env.rows) / rate) * 1000;
+        const t = env.time % (reveal + hold * 1000);
+        if (cell.index >= (t / 1000) * rate) cell.visible = false;
+    }
+});
+
+registerEffect('scanlines', {
+    label: 'Scanlines',
+    params: [
+        { name: 'spacing', label: 'Spacing (px)', min: 2, max: 12, step: 1, default: 3 },
+        { name: 'opacity', label: 'Opacity', min: 0, max: 1, step: 0.05, default: 0.35 },
+        { name: 'speed', label: 'Scroll (px/s)', min: 0, max: 60, step: 1, default: 10 }
+    ],
+    overlay(ctx, { spacing, opacity, speed }, env) {
+        const offset = ((env.time / 1000) * speed) % spacing;
+        const lineH = Math.max(1, Math.floor(spacing / 2));
+        ctx.fillStyle = `rgba(0, 0, 0, ${opacity})`;
+        for (let y = offset - spacing; y < env.height; y += spacing) {
+            ctx.fillRect(0, Math.round(y), env.width, lineH);
+        }
+    }
+});
+
+registerEffect('crt', {
+    label: 'CRT Glow',
+    params: [
+        { name: 'glow', label: 'Glow', min: 0, max: 1, step: 0.05, default: 0.4 },
+        { name: 'vignette', label: 'Vignette', min: 0, max: 1, step: 0.05, default: 0.5 },
+        { name: 'flicker', label: 'Flicker', min: 0, max: 0.3, step: 0.01, default: 0.04 }
+    ],
+    overlay(ctx, { glow, vignette, flicker }, env) {
+        const { width, height } = env;
+        // Flicker changes 20 times a second
+        const dim = flicker * hash(Math.floor(env.time / 50), 3);
+
+        // Bloom: a quarter-size copy scaled back up and added on top
+        if (glow > 0) {
+            const w = Math.max(1, Math.round(width / 4));
+            const h = Math.max(1, Math.round(height / 4));
+            if (!glowCanvas) glowCanvas = createCanvas(w, h);
+            if (glowCanvas) {
+                glowCanvas.width = w;
+                glowCanvas.height = h;
+                const glowCtx = glowCanvas.getContext('2d');
+                glowCtx.imageSmoothingEnabled = true;
+                glowCtx.drawImage(ctx.canvas, 0, 0, w, h);
+
+                ctx.save();
+                ctx.globalCompositeOperation = 'lighter';
+                ctx.globalAlpha = glow * (1 - dim);
+                ctx.imageSmoothingEnabled = true;
+                ctx.drawImage(glowCanvas, 0, 0, width, height);
+                ctx.restore();
+            }
+        }
+
+        if (vignette > 0) {
+            const cx = width / 2, cy = height / 2;
+            const gradient = ctx.createRadialGradient(cx, cy, Math.min(cx, cy) * 0.4, cx, cy, Math.hypot(cx, cy));
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+            gradient.addColorStop(1, `rgba(0, 0, 0, ${vignette})`);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        if (dim > 0) {
+            ctx.fillStyle = `rgba(0, 0, 0, ${dim})`;
+            ctx.fillRect(0, 0, width, height);
+        }
+    }
+});
@@ -0,0 +1,123 @@
+// Emoji colour tables for the emoji mosaic mode. Each emoji is described by the average colour of
+// its rendered pixels, rasterised on the fly when the canvas draws colour emoji; otherwise a
+// bundled table of approximate colours is used.
+
+import { createCanvas, DEFAULT_FONT_FAMILY } from './GlyphMetrics.js';
+import { toGlyphs } from './Graphemes.js';
+
+export const EMOJI_SETS = {
+    mosaic: '⬛⬜🟥🟧🟨🟩🟦🟪🟫⚫⚪🔴🟠🟡🟢🔵🟣🟤',
+    hearts: '🖤🤍❤️🧡💛💚💙💜🤎',
+    nature: '🌑🌚🌲🌳🌵🍀🌿🌻🌼🌸🌹🌷🌊💧🔥☁️🌈⭐🌙❄️🍁🍂',
+    food: '🍎🍊🍋🍌🍉🍇🍓🫐🥝🍅🍆🥑🥦🥕🌽🍞🧀🍫🍩🥛🍪🍑',
+    faces: '😀😂😍🥰😎😡🥶🤢🤡👽💀🤖👻🎃😈'
+};
+EMOJI_SETS.all = Array.from(new Set(Object.values(EMOJI_SETS).flatMap(toGlyphs))).join('');
+
+// Approximate average colour of the bundled emoji in common colour emoji fonts.
+const EMOJI_TABLE = {
+    '⬛': '#292f33', '⬜': '#e6e7e8', '🟥': '#dd2e44', '🟧': '#f4900c',
+    '🟨': '#fdcb58', '🟩': '#78b159', '🟦': '#55acee', '🟪': '#aa8ed6',
+    '🟫': '#c1694f', '⚫': '#31373d', '⚪': '#e1e8ed', '🔴': '#dd2e44',
+    '🟠': '#f4900c', '🟡': '#fdcb58', '🟢': '#78b159', '🔵': '#55acee',
+    '🟣': '#aa8ed6', '🟤': '#c1694f',
+
+    '🖤': '#31373d', '🤍': '#e1e8ed', '❤️': '#dd2e44', '🧡': '#f4900c',
+    '💛': '#fdcb58', '💚': '#78b159', '💙': '#5dadec', '💜': '#aa8ed6',
+    '🤎': '#c1694f',
+
+    '🌑': '#66757f', '🌚': '#4a5459', '🌲': '#3e721d', '🌳': '#5c913b',
+    '🌵': '#77b255', '🍀': '#5c913b', '🌿': '#77b255', '🌻': '#e8a820',
+    '🌼': '#f6dd7a', '🌸': '#f4abba', '🌹': '#be1931', '🌷': '#ea596e',
+    '🌊': '#3b88c3', '💧': '#5dadec', '🔥': '#f4900c', '☁️': '#e1e8ed',
+    '🌈': '#b88f6a', '⭐': '#ffac33', '🌙': '#ffd983', '❄️': '#88c9f9',
+    '🍁': '#e0562f', '🍂': '#c1694f',
+
+    '🍎': '#dd2e44', '🍊': '#f4900c', '🍋': '#ffcc4d', '🍌': '#ffd45c',
+    '🍉': '#a8504b', '🍇': '#744eaa', '🍓': '#be1931', '🫐': '#4b5bb5',
+    '🥝': '#8cb341', '🍅': '#dd2e44', '🍆': '#744eaa', '🥑': '#7fa34a',
+    '🥦': '#5c913b', '🥕': '#f4900c', '🌽': '#f7c44a', '🍞': '#d99e5a',
+    '🧀': '#ffcc4d', '🍫': '#6d4934', '🍩': '#d9768a', '🥛': '#e8eef2',
+    '🍪': '#c99a5b', '🍑': '#f79f6d',
+
+    '😀': '#ffcc4d', '😂': '#f7c04a', '😍': '#f5b847', '🥰': '#f6bb4c',
+    '😎': '#e2a93f', '😡': '#da2f47', '🥶': '#5dadec', '🤢': '#8cc152',
+    '🤡': '#e8d6cc', '👽': '#aab8c2', '💀': '#ccd6dd', '🤖': '#99aab5',
+    '👻': '#e1e8ed', '🎃': '#f4900c', '😈': '#aa8ed6'
+};
+
+// Rasterisation size; large enough that small emoji details average out.
+const PROBE_SIZE = 32;
+// Drawn in this colour, a glyph whose pixels all keep it came from a monochrome font.
+const PROBE_FILL = [255, 0, 255];
+
+const colorCache = new Map();
+
+// Glyphs of an emoji set: a preset name from EMOJI_SETS, or a string / array of emoji.
+// Falls back to the mosaic set when nothing is left.
+export function getEmojiSet(set) {
+    const glyphs = toGlyphs(EMOJI_SETS[set] ?? set ?? '');
+    return glyphs.length > 0 ? glyphs : toGlyphs(EMOJI_SETS.mosaic);
+}
+
+function tableColor(glyph) {
+    const hex = EMOJI_TABLE[glyph] || EMOJI_TABLE[glyph.replace(/\uFE0F/g, '')];
+    if (!hex) return null;
+    const c = parseInt(hex.slice(1), 16);
+    return [(c >> 16) & 0xff, (c >> 8) & 0xff, c & 0xff];
+}
+
+// Rasterised [r, g, b] per glyph, null for glyphs drawn without colour (or not at all).
+// Returns null when there is no canvas.
+function rasterizeEmoji(glyphs, fontFamily) {
+    const probe = createCanvas(1, 1);
+    const probeCtx = probe && probe.getContext('2d');
+    if (!probeCtx) return null;
+
+    const font = `${PROBE_SIZE}px ${fontFamily}`;
+    probeCtx.font = font;
+    let cellW = 1;
+    for (const glyph of glyphs) cellW = Math.max(cellW, probeCtx.measureText(glyph).width);
+
+    const w = Math.ceil(cellW);
+    const h = PROBE_SIZE;
+    const canvas = createCanvas(w, h);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.font = font;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = `rgb(${PROBE_FILL.join(',')})`;
+
+    return glyphs.map((glyph) => {
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillText(glyph, 0, 0);
+        const data = ctx.getImageData(0, 0, w, h).data;
+
+        let r = 0, g = 0, b = 0, alpha = 0, inked = 0, colored = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            const a = data[i + 3];
+            if (a === 0) continue;
+            r += data[i] * a; g += data[i + 1] * a; b += data[i + 2] * a;
+            alpha += a;
+            inked++;
+            const d = Math.abs(data[i] - PROBE_FILL[0]) + Math.abs(data[i + 1] - PROBE_FILL[1]) + Math.abs(data[i + 2] - PROBE_FILL[2]);
+            if (d > 48) colored++;
+        }
+        if (alpha === 0 || colored < inked * 0.05) return null;
+        return [r / alpha, g / alpha, b / alpha];
+    });
+}
+
+// Average [r, g, b] of each glyph: rasterised where the font draws colour emoji, then the
+// bundled table, then mid grey.
+export function getEmojiColors(glyphs, { fontFamily = DEFAULT_FONT_FAMILY } = {}) {
+    const key = `${fontFamily}|${JSON.stringify(glyphs)}`;
+    if (colorCache.has(key)) return colorCache.get(key);
+
+    const measured = rasterizeEmoji(glyphs, fontFamily);
+    const colors = glyphs.map((glyph, i) =>
+        (measured && measured[i]) || tableColor(glyph) || [128, 128, 128]);
+
+    if (colorCache.size > 16) colorCache.clear();
+    colorCache.set(key, colors);
+    return colors;
+}
@@ -0,0 +1,66 @@
+// Error-diffusion kernels: [dx, dy, weight] entries plus the divisor.
+// Offsets are relative to the current pixel; dx is mirrored on right-to-left rows.
+export const ErrorDiffusionKernels = {
+    'floyd-steinberg': {
+        divisor: 16,
+        taps: [
+            [1, 0, 7],
+            [-1, 1, 3], [0, 1, 5], [1, 1, 1]
+        ]
+    },
+    'atkinson': {
+        // Only 6/8 of the error is propagated, which keeps highlights and shadows clean.
+        divisor: 8,
+        taps: [
+            [1, 0, 1], [2, 0, 1],
+            [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+            [0, 2, 1]
+        ]
+    },
+    'sierra': {
+        divisor: 32,
+        taps: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    }
+};
+
+export function isErrorDiffusion(algorithm) {
+    return Object.prototype.hasOwnProperty.call(ErrorDiffusionKernels, algorithm);
+}
+
+// Diffuses quantisation error over a luminance buffer (0-255).
+// `quantize(value)` returns the chosen level index; `levelValue(index)` its luminance.
+// Rows are scanned in serpentine order to avoid directional artifacts.
+export function diffuseError(values, width, height, algorithm, quantize, levelValue) {
+    const kernel = ErrorDiffusionKernels[algorithm];
+    const buffer = Float32Array.from(values);
+    const indices = new Uint16Array(width * height);
+    const { divisor, taps } = kernel;
+
+    for (let y = 0; y < height; y++) {
+        const reverse = (y & 1) === 1;
+        for (let i = 0; i < width; i++) {
+            const x = reverse ? width - 1 - i : i;
+            const pos = y * width + x;
+
+            const value = buffer[pos];
+            const idx = quantize(value);
+            indices[pos] = idx;
+
+            const error = (value - levelValue(idx)) / divisor;
+            if (error === 0) continue;
+
+            for (let t = 0; t < taps.length; t++) {
+                const nx = x + (reverse ? -taps[t][0] : taps[t][0]);
+                const ny = y + taps[t][1];
+                if (nx < 0 || nx >= width || ny >= height) continue;
+                buffer[ny * width + nx] += error * taps[t][2];
+            }
+        }
+    }
+
+    return indices;
+}
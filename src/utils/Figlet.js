@@ -0,0 +1,231 @@
+// FIGlet fonts (.flf) for text banners. parseFiglet reads a standard FIGfont (version 2 header,
+// the 95 ASCII characters, the 7 Deutsch ones and any code-tagged extras); renderFiglet lays text
+// out with the font's horizontal layout: full width, fitting (kerning) or smushing, following the
+// rules of the FIGfont 2 spec. Lines of text are stacked; vertical smushing is not done.
+
+export const FIGLET_FONTS = {
+    block: { label: 'Block', file: 'block.flf' },
+    shadow: { label: 'Shadow', file: 'shadow.flf' },
+    mini: { label: 'Mini', file: 'mini.flf' }
+};
+
+// Horizontal layout bits of the header's full_layout.
+const SMUSH_EQUAL = 1;
+const SMUSH_LOWLINE = 2;
+const SMUSH_HIERARCHY = 4;
+const SMUSH_PAIR = 8;
+const SMUSH_BIGX = 16;
+const SMUSH_HARDBLANK = 32;
+const LAYOUT_KERN = 64;
+const LAYOUT_SMUSH = 128;
+
+const DEUTSCH = [196, 214, 220, 228, 246, 252, 223];
+
+const fontCache = new Map();
+
+// A font from .flf source: { hardblank, height, baseline, layout, rtl, comment, chars } where
+// `chars` maps code points to rows of equal length, each an array of characters (hardblanks kept).
+export function parseFiglet(source) {
+    const lines = String(source).replace(/\r\n?/g, '\n').split('\n');
+    const header = lines[0] || '';
+    if (!header.startsWith('flf2a') || header.length < 6) throw new Error('Not a FIGlet font (missing flf2a header)');
+
+    const hardblank = header[5];
+    const [height, baseline, , oldLayout, commentLines = 0, printDirection = 0, fullLayout] =
+        header.slice(6).trim().split(/\s+/).map((n) => parseInt(n, 10));
+    if (!(height > 0)) throw new Error('Invalid FIGlet font header');
+
+    // Without full_layout the old layout decides: -1 full width, 0 kerning, else smushing rules.
+    let layout = fullLayout;
+    if (!Number.isFinite(layout)) {
+        if (oldLayout < 0) layout = 0;
+        else if (oldLayout === 0) layout = LAYOUT_KERN;
+        else layout = (oldLayout & 31) | LAYOUT_SMUSH;
+    }
+
+    const chars = new Map();
+    let line = 1 + commentLines;
+
+    const readChar = () => {
+        if (line + height > lines.length) return null;
+        const rows = lines.slice(line, line + height).map((row) => {
+            // Every row ends with one or more endmarks (the row's last character)
+            const end = row.trimEnd();
+            const mark = end.slice(-1);
+            let i = end.length;
+            while (i > 0 && end[i - 1] === mark) i--;
+            return Array.from(end.slice(0, i));
+        });
+        line += height;
+        const width = Math.max(0, ...rows.map((row) => row.length));
+        return rows.map((row) => row.concat(new Array(width - row.length).fill(' ')));
+    };
+
+    const required = [];
+    for (let code = 32; code <= 126; code++) required.push(code);
+    required.push(...DEUTSCH);
+    for (const code of required) {
+        const rows = readChar();
+        if (!rows) break;
+        chars.set(code, rows);
+    }
+
+    // Code-tagged characters: a line starting with the code (decimal, 0x hex or 0 octal), then rows
+    while (line < lines.length) {
+        const tag = lines[line].trim().split(/\s+/)[0];
+        line++;
+        if (!tag) continue;
+        const negative = tag.startsWith('-');
+        const digits = negative ? tag.slice(1) : tag;
+        let code;
+        if (/^0x[0-9a-f]+$/i.test(digits)) code = parseInt(digits.slice(2), 16);
+        else if (/^0[0-7]*$/.test(digits)) code = parseInt(digits, 8);
+        else code = parseInt(digits, 10);
+        const rows = readChar();
+        if (!rows) break;
+        if (Number.isFinite(code) && !negative) chars.set(code, rows);
+    }
+
+    return {
+        hardblank,
+        height,
+        baseline: baseline || height,
+        layout,
+        rtl: printDirection === 1,
+        comment: lines.slice(1, 1 + commentLines).join('\n'),
+        chars
+    };
+}
+
+// Bundled font by name (FIGLET_FONTS), fetched from assets/fonts and cached.
+export async function loadFigletFont(name) {
+    const entry = FIGLET_FONTS[name];
+    if (!entry) throw new Error(`Unknown FIGlet font: ${name}`);
+    if (!fontCache.has(name)) {
+        const url = new URL(`../../assets/fonts/${entry.file}`, import.meta.url);
+        const request = fetch(url).then((res) => {
+            if (!res.ok) throw new Error(`Could not load ${entry.file} (${res.status})`);
+            return res.text();
+        }).then(parseFiglet);
+        // A failed load can be retried
+        request.catch(() => fontCache.delete(name));
+        fontCache.set(name, request);
+    }
+    return fontCache.get(name);
+}
+
+// Header layout bits for a layout name: 'default' (the font's own), 'full', 'fitted' (kerning),
+// 'smush' (the font's smushing rules, universal when it has none) or 'universal'.
+function resolveLayout(font, layout) {
+    const rules = font.layout & 63;
+    if (layout === 'full') return 0;
+    if (layout === 'fitted') return LAYOUT_KERN;
+    if (layout === 'smush') return LAYOUT_SMUSH | rules;
+    if (layout === 'universal') return LAYOUT_SMUSH;
+    return font.layout;
+}
+
+// The character two overlapping ones become, or null when they can't be smushed.
+function smushChars(left, right, state) {
+    if (left === ' ') return right;
+    if (right === ' ') return left;
+    const { layout, hardblank, rtl } = state;
+    // Characters narrower than two columns are only kerned
+    if (state.prevWidth < 2 || state.curWidth < 2) return null;
+    if (!(layout & LAYOUT_SMUSH)) return null;
+
+    if ((layout & 63) === 0) {
+        // Universal smushing: the later character wins, hardblanks give way
+        if (left === hardblank) return right;
+        if (right === hardblank) return left;
+        return rtl ? left : right;
+    }
+
+    if (layout & SMUSH_HARDBLANK && left === hardblank && right === hardblank) return left;
+    if (left === hardblank || right === hardblank) return null;
+    if (layout & SMUSH_EQUAL && left === right) return left;
+    if (layout & SMUSH_LOWLINE) {
+        if (left === '_' && '|/\\[]{}()<>'.includes(right)) return right;
+        if (right === '_' && '|/\\[]{}()<>'.includes(left)) return left;
+    }
+    if (layout & SMUSH_HIERARCHY) {
+        const classes = ['|', '/\\', '[]', '{}', '()', '<>'];
+        const l = classes.findIndex((c) => c.includes(left));
+        const r = classes.findIndex((c) => c.includes(right));
+        if (l >= 0 && r >= 0 && l !== r) return l > r ? left : right;
+    }
+    if (layout & SMUSH_PAIR) {
+        const pair = left + right;
+        if (pair === '[]' || pair === '][' || pair === '{}' || pair === '}{' || pair === '()' || pair === ')(') return '|';
+    }
+    if (layout & SMUSH_BIGX) {
+        if (left === '/' && right === '\\') return '|';
+        if (left === '\\' && right === '/') return 'Y';
+        if (left === '>' && right === '<') return 'X';
+    }
+    return null;
+}
+
+// How many columns `glyph` can move left into `rows`, like FIGlet's smushamt.
+function overlapAmount(rows, glyph, state) {
+    if (!(state.layout & (LAYOUT_KERN | LAYOUT_SMUSH))) return 0;
+    const lineLen = rows[0].length;
+    let amount = state.curWidth;
+
+    for (let r = 0; r < rows.length; r++) {
+        const row = rows[r];
+        const chars = glyph[r];
+        let lineEnd = Math.max(0, lineLen - 1);
+        while (lineEnd > 0 && row[lineEnd] === ' ') lineEnd--;
+        let charStart = 0;
+        while (charStart < chars.length && chars[charStart] === ' ') charStart++;
+
+        const left = lineLen > 0 ? row[lineEnd] : undefined;
+        const right = chars[charStart];
+        let amt = charStart + lineLen - 1 - lineEnd;
+        if (left === undefined || left === ' ') amt++;
+        else if (right !== undefined && smushChars(left, right, state) !== null) amt++;
+        amount = Math.min(amount, amt);
+    }
+    return Math.max(0, amount);
+}
+
+// One line of text as font rows of characters (hardblanks kept).
+function renderLine(text, font, state) {
+    let rows = Array.from({ length: font.height }, () => []);
+    let glyphs = Array.from(text, (ch) => font.chars.get(ch.codePointAt(0))).filter(Boolean);
+    if (font.rtl) glyphs = glyphs.reverse();
+    state.prevWidth = 0;
+
+    for (const glyph of glyphs) {
+        state.curWidth = glyph[0].length;
+        const amount = overlapAmount(rows, glyph, state);
+        const lineLen = rows[0].length;
+        rows = rows.map((row, r) => {
+            const chars = glyph[r];
+            let merged = row.slice(0, Math.max(0, lineLen - amount));
+            for (let k = 0; k < amount; k++) {
+                const at = lineLen - amount + k;
+                if (at < 0) continue;
+                merged.push(smushChars(row[at], chars[k], state) ?? row[at]);
+            }
+            return merged.concat(chars.slice(amount));
+        });
+        state.prevWidth = state.curWidth;
+    }
+    return rows;
+}
+
+// `text` as banner rows: each input line is laid out in `font` and the results are stacked,
+// left-aligned and padded to the widest. `layout` is 'default', 'full', 'fitted', 'smush' or
+// 'universal'. Hardblanks come out as spaces.
+export function renderFiglet(text, font, { layout = 'default' } = {}) {
+    const state = { layout: resolveLayout(font, layout), hardblank: font.hardblank, rtl: font.rtl, prevWidth: 0, curWidth: 0 };
+    const rows = [];
+    for (const line of String(text ?? '').replace(/\r\n?/g, '\n').split('\n')) {
+        rows.push(...renderLine(line, font, state));
+    }
+
+    const width = Math.max(0, ...rows.map((row) => row.length));
+    return rows.map((row) => row.map((ch) => (ch === font.hardblank ? ' ' : ch)).join('') + ' '.repeat(width - row.length));
+}
@@ -0,0 +1,206 @@
+// Pre-processing filters for RGBA buffers, run in order on the downsampled pixels before
+// glyph mapping. A chain is an array of steps: { type, enabled, params }.
+//
+// Filters are registered by name with a parameter description (used by the apps to build
+// sliders) and an `apply(data, width, height, params)` that returns the filtered buffer.
+
+export const FILTERS = {};
+
+export function registerFilter(name, { label = name, params = [], apply }) {
+    FILTERS[name] = { name, label, params, apply };
+}
+
+// A new chain step with every parameter at its default.
+export function createFilterStep(type) {
+    const filter = FILTERS[type];
+    if (!filter) throw new Error(`Unknown filter: ${type}`);
+    const params = {};
+    for (const p of filter.params) params[p.name] = p.default;
+    return { type, enabled: true, params };
+}
+
+// Runs the enabled steps in order. The input buffer is never modified.
+export function applyFilterChain(data, width, height, chain) {
+    if (!chain || chain.length === 0) return data;
+
+    let out = data;
+    for (const step of chain) {
+        const filter = FILTERS[step.type];
+        if (!filter || step.enabled === false) continue;
+        if (out === data) out = new Uint8ClampedArray(data);
+        const params = { ...createFilterStep(step.type).params, ...step.params };
+        out = filter.apply(out, width, height, params) || out;
+    }
+    return out;
+}
+
+// --- Helpers ---
+
+function gaussianKernel(sigma) {
+    const radius = Math.max(1, Math.ceil(sigma * 3));
+    const kernel = new Float32Array(radius * 2 + 1);
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+        const w = Math.exp(-(i * i) / (2 * sigma * sigma));
+        kernel[i + radius] = w;
+        sum += w;
+    }
+    for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+    return { radius, kernel };
+}
+
+// Separable Gaussian blur of the RGB channels (edges clamp). Returns a new buffer.
+function gaussianBlur(data, width, height, sigma) {
+    const { radius, kernel } = gaussianKernel(sigma);
+    const tmp = new Float32Array(width * height * 3);
+    const out = new Uint8ClampedArray(data);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0;
+            for (let k = -radius; k <= radius; k++) {
+                const sx = Math.min(width - 1, Math.max(0, x + k));
+                const o = (y * width + sx) * 4;
+                const w = kernel[k + radius];
+                r += data[o] * w; g += data[o + 1] * w; b += data[o + 2] * w;
+            }
+            const t = (y * width + x) * 3;
+            tmp[t] = r; tmp[t + 1] = g; tmp[t + 2] = b;
+        }
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0;
+            for (let k = -radius; k <= radius; k++) {
+                const sy = Math.min(height - 1, Math.max(0, y + k));
+                const t = (sy * width + x) * 3;
+                const w = kernel[k + radius];
+                r += tmp[t] * w; g += tmp[t + 1] * w; b += tmp[t + 2] * w;
+            }
+            const o = (y * width + x) * 4;
+            out[o] = r; out[o + 1] = g; out[o + 2] = b;
+        }
+    }
+
+    return out;
+}
+
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+// --- Built-in filters ---
+
+registerFilter('unsharp', {
+    label: 'Unsharp Mask',
+    params: [
+        { name: 'amount', label: 'Amount', min: 0, max: 3, step: 0.1, default: 1 },
+        { name: 'radius', label: 'Radius', min: 0.5, max: 5, step: 0.5, default: 1 },
+        { name: 'threshold', label: 'Threshold', min: 0, max: 64, step: 1, default: 0 }
+    ],
+    apply(data, width, height, { amount, radius, threshold }) {
+        const blurred = gaussianBlur(data, width, height, radius);
+        for (let i = 0; i < data.length; i += 4) {
+            for (let c = 0; c < 3; c++) {
+                const diff = data[i + c] - blurred[i + c];
+                if (Math.abs(diff) >= threshold) data[i + c] = data[i + c] + diff * amount;
+            }
+        }
+        return data;
+    }
+});
+
+registerFilter('blur', {
+    label: 'Gaussian Blur',
+    params: [
+        { name: 'radius', label: 'Radius', min: 0.5, max: 5, step: 0.5, default: 1 }
+    ],
+    apply(data, width, height, { radius }) {
+        return gaussianBlur(data, width, height, radius);
+    }
+});
+
+registerFilter('saturation', {
+    label: 'Saturation',
+    params: [
+        { name: 'amount', label: 'Amount', min: 0, max: 3, step: 0.05, default: 1.5 }
+    ],
+    apply(data, width, height, { amount }) {
+        for (let i = 0; i < data.length; i += 4) {
+            const l = luma(data[i], data[i + 1], data[i + 2]);
+            data[i] = l + (data[i] - l) * amount;
+            data[i + 1] = l + (data[i + 1] - l) * amount;
+            data[i + 2] = l + (data[i + 2] - l) * amount;
+        }
+        return data;
+    }
+});
+
+registerFilter('hue', {
+    label: 'Hue Rotate',
+    params: [
+        { name: 'degrees', label: 'Degrees', min: -180, max: 180, step: 1, default: 90 }
+    ],
+    apply(data, width, height, { degrees }) {
+        // Same matrix as the CSS hue-rotate() filter
+        const a = (degrees * Math.PI) / 180;
+        const cos = Math.cos(a), sin = Math.sin(a);
+        const m = [
+            0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+            0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+            0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+        ];
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i], g = data[i + 1], b = data[i + 2];
+            data[i] = m[0] * r + m[1] * g + m[2] * b;
+            data[i + 1] = m[3] * r + m[4] * g + m[5] * b;
+            data[i + 2] = m[6] * r + m[7] * g + m[8] * b;
+        }
+        return data;
+    }
+});
+
+registerFilter('temperature', {
+    label: 'Temperature',
+    params: [
+        { name: 'amount', label: 'Warmth', min: -100, max: 100, step: 1, default: 20 }
+    ],
+    apply(data, width, height, { amount }) {
+        // Positive warms (more red, less blue), negative cools.
+        const k = amount / 200;
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = data[i] * (1 + k);
+            data[i + 2] = data[i + 2] * (1 - k);
+        }
+        return data;
+    }
+});
+
+registerFilter('posterize', {
+    label: 'Posterize',
+    params: [
+        { name: 'levels', label: 'Levels', min: 2, max: 32, step: 1, default: 4 }
+    ],
+    apply(data, width, height, { levels }) {
+        const steps = Math.max(1, levels - 1);
+        for (let i = 0; i < data.length; i += 4) {
+            for (let c = 0; c < 3; c++) {
+                data[i + c] = (Math.round((data[i + c] / 255) * steps) / steps) * 255;
+            }
+        }
+        return data;
+    }
+});
+
+registerFilter('threshold', {
+    label: 'Threshold',
+    params: [
+        { name: 'level', label: 'Level', min: 0, max: 255, step: 1, default: 128 }
+    ],
+    apply(data, width, height, { level }) {
+        for (let i = 0; i < data.length; i += 4) {
+            const v = luma(data[i], data[i + 1], data[i + 2]) >= level ? 255 : 0;
+            data[i] = data[i + 1] = data[i + 2] = v;
+        }
+        return data;
+    }
+});
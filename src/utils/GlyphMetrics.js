@@ -0,0 +1,149 @@
+// Glyph rasterisation helpers. These need a 2D canvas (DOM or OffscreenCanvas);
+// without one they return null and callers fall back to luminance-only mapping.
+
+export const DEFAULT_FONT_FAMILY = '"JetBrains Mono", monospace';
+
+const featureCache = new Map();
+const widthCache = new Map();
+
+export function createCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    return null;
+}
+
+// Only cache results once the web font is actually available, otherwise the
+// fallback font's shapes would stick around after the real font loads.
+function isFontReady(font) {
+    if (typeof document === 'undefined' || !document.fonts || !document.fonts.check) return true;
+    return document.fonts.check(font);
+}
+
+// Advance width of the widest glyph (never narrower than 'M') in the given font: the cell width
+// drawFrame lays text out on. Measures on `ctx` when given, otherwise on a probe canvas;
+// returns null when there is nothing to measure with.
+export function measureCellWidth(glyphs, { fontFamily = DEFAULT_FONT_FAMILY, fontWeight = 'normal', charSize = 10, ctx = null } = {}) {
+    const font = `${fontWeight} ${charSize}px ${fontFamily}`;
+    const key = `${font}|${JSON.stringify(glyphs)}`;
+    if (widthCache.has(key)) return widthCache.get(key);
+
+    let measureCtx = ctx;
+    if (!measureCtx) {
+        const probe = createCanvas(1, 1);
+        measureCtx = probe && probe.getContext('2d');
+    }
+    if (!measureCtx) return null;
+
+    measureCtx.font = font;
+    let width = measureCtx.measureText('M').width || 0;
+    for (const ch of glyphs) {
+        width = Math.max(width, measureCtx.measureText(ch).width);
+    }
+    if (!width) return null;
+
+    if (widthCache.size > 64) widthCache.clear();
+    if (isFontReady(font)) widthCache.set(key, width);
+    return width;
+}
+
+// Renders each glyph white-on-black in a charW x charSize cell and returns its ink coverage
+// (0-1) sampled on a cols x rows grid. Vectors are scaled so the densest sample is 1,
+// which puts them on the same footing as normalised luminance.
+export function getGlyphFeatures(glyphs, { fontFamily = DEFAULT_FONT_FAMILY, fontWeight = 'normal', charSize = 10, cols = 3, rows = 3 } = {}) {
+    const font = `${fontWeight} ${charSize}px ${fontFamily}`;
+    const key = `${font}|${cols}x${rows}|${JSON.stringify(glyphs)}`;
+    if (featureCache.has(key)) return featureCache.get(key);
+
+    const probe = createCanvas(1, 1);
+    if (!probe) return null;
+
+    const probeCtx = probe.getContext('2d');
+    if (!probeCtx) return null;
+    probeCtx.font = font;
+    let charW = probeCtx.measureText('M').width || charSize * 0.6;
+    for (const ch of glyphs) {
+        charW = Math.max(charW, probeCtx.measureText(ch).width);
+    }
+
+    // Render at a fixed oversampling so small char sizes still produce stable features.
+    const scale = Math.max(1, Math.ceil(24 / charSize));
+    const cellW = Math.ceil(charW * scale);
+    const cellH = Math.ceil(charSize * scale);
+    const canvas = createCanvas(cellW, cellH);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    const size = cols * rows;
+    const features = new Float32Array(glyphs.length * size);
+    let max = 0;
+
+    for (let g = 0; g < glyphs.length; g++) {
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, cellW, cellH);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `${fontWeight} ${charSize * scale}px ${fontFamily}`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(glyphs[g], 0, 0);
+
+        const data = ctx.getImageData(0, 0, cellW, cellH).data;
+        const sums = new Float32Array(size);
+        const counts = new Uint32Array(size);
+        for (let y = 0; y < cellH; y++) {
+            const fy = Math.min(rows - 1, Math.floor((y * rows) / cellH));
+            for (let x = 0; x < cellW; x++) {
+                const fx = Math.min(cols - 1, Math.floor((x * cols) / cellW));
+                const f = fy * cols + fx;
+                sums[f] += data[(y * cellW + x) * 4] / 255;
+                counts[f]++;
+            }
+        }
+
+        for (let f = 0; f < size; f++) {
+            const v = counts[f] ? sums[f] / counts[f] : 0;
+            features[g * size + f] = v;
+            if (v > max) max = v;
+        }
+    }
+
+    if (max > 0) {
+        for (let i = 0; i < features.length; i++) features[i] /= max;
+    }
+
+    const result = { cols, rows, size, features };
+    if (isFontReady(font)) featureCache.set(key, result);
+    return result;
+}
+
+// Index of the glyph whose feature vector is closest (squared error) to `cell` (values 0-1).
+export function matchGlyph(glyphFeatures, cell, glyphCount) {
+    const { size, features } = glyphFeatures;
+    let best = 0;
+    let bestErr = Infinity;
+    for (let g = 0; g < glyphCount; g++) {
+        let err = 0;
+        const base = g * size;
+        for (let f = 0; f < size; f++) {
+            const d = features[base + f] - cell[f];
+            err += d * d;
+            if (err >= bestErr) break;
+        }
+        if (err < bestErr) {
+            bestErr = err;
+            best = g;
+        }
+    }
+    return best;
+}
+
+// Relative ink coverage of each glyph (0-1, densest glyph = 1) in the given font.
+export function measureGlyphDensity(glyphs, { fontFamily = DEFAULT_FONT_FAMILY, fontWeight = 'normal', charSize = 10 } = {}) {
+    const result = getGlyphFeatures(glyphs, { fontFamily, fontWeight, charSize, cols: 1, rows: 1 });
+    return result ? Array.from(result.features) : null;
+}
@@ -0,0 +1,44 @@
+// Gradient maps for the 'gradient' and 'duotone' colour modes. A gradient is a list of
+// [position, '#rrggbb'] stops along the 0-255 luminance axis; 'duotone' uses only the first
+// and last stop. Colours are blended in OKLab so mid-tones don't go muddy.
+
+import { parsePaletteHex, rgbToOklab, oklabToRgb } from './Palettes.js';
+
+export const GRADIENT_PRESETS = {
+    fire: [[0, '#000000'], [80, '#7a0b00'], [150, '#e34a00'], [210, '#ffb400'], [255, '#fff6c8']],
+    ice: [[0, '#020814'], [90, '#0b3c78'], [170, '#3fa7e0'], [255, '#f0fbff']],
+    vaporwave: [[0, '#1a0638'], [85, '#7b1fa2'], [170, '#ff4fa3'], [255, '#4ff7ff']],
+    sepia: [[0, '#1e130a'], [128, '#8a6340'], [255, '#f4e6c8']]
+};
+
+// Sorted, validated stops; duotone keeps the two ends. Falls back to black-to-white.
+export function normalizeGradientStops(stops, duotone = false) {
+    let list = (stops || [])
+        .map(([pos, color]) => [Math.max(0, Math.min(255, Number(pos) || 0)), parsePaletteHex([color])[0]])
+        .filter(([, rgb]) => rgb !== undefined)
+        .sort((a, b) => a[0] - b[0]);
+
+    if (list.length === 0) list = [[0, 0x000000], [255, 0xffffff]];
+    if (duotone) list = [[0, list[0][1]], [255, list[list.length - 1][1]]];
+    return list;
+}
+
+// 256 packed 0xRRGGBB entries, one per luminance level.
+export function buildGradientLut(stops, duotone = false) {
+    const list = normalizeGradientStops(stops, duotone);
+    const lab = list.map(([, rgb]) => rgbToOklab((rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff));
+    const lut = new Int32Array(256);
+
+    let seg = 0;
+    for (let v = 0; v < 256; v++) {
+        while (seg < list.length - 1 && v > list[seg + 1][0]) seg++;
+        const next = Math.min(seg + 1, list.length - 1);
+        const span = list[next][0] - list[seg][0];
+        const t = span > 0 ? Math.max(0, Math.min(1, (v - list[seg][0]) / span)) : 0;
+        const a = lab[seg], b = lab[next];
+        const [r, g, bl] = oklabToRgb(a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t);
+        lut[v] = (r << 16) | (g << 8) | bl;
+    }
+
+    return lut;
+}
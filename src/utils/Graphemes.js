@@ -0,0 +1,86 @@
+// Grapheme clusters: what a reader sees as one character. Charsets and frame cells are arrays of
+// clusters, so emoji (surrogate pairs, ZWJ sequences, skin tones, flags) and combining marks
+// stay in one cell. Wide glyphs (CJK, emoji) take two terminal columns.
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+// Close enough for charsets where Intl.Segmenter is missing: a code point plus any marks,
+// emoji modifiers, tags and ZWJ-joined code points; flags are pairs of regional indicators.
+const FALLBACK_CLUSTER = /\r\n|\p{Regional_Indicator}{2}|[\s\S](?:[\p{M}\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}]|\u200D[\s\S])*/gu;
+
+// Emoji drawn as pictures: default emoji presentation, or text-style symbols forced with VS16.
+const EMOJI_PRESENTATION = /\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F/u;
+
+// East Asian Wide / Fullwidth blocks (first code point of a cluster).
+const WIDE_RANGES = [
+    [0x1100, 0x115F], [0x2E80, 0x303E], [0x3041, 0x33FF], [0x3400, 0x4DBF], [0x4E00, 0x9FFF],
+    [0xA000, 0xA4CF], [0xAC00, 0xD7A3], [0xF900, 0xFAFF], [0xFE30, 0xFE4F], [0xFF00, 0xFF60],
+    [0xFFE0, 0xFFE6], [0x20000, 0x2FFFD], [0x30000, 0x3FFFD]
+];
+
+export function splitGraphemes(str) {
+    if (!str) return [];
+    if (segmenter) return Array.from(segmenter.segment(str), (s) => s.segment);
+    return str.match(FALLBACK_CLUSTER) || [];
+}
+
+// A charset as an array of glyphs. Strings are split into grapheme clusters; arrays are taken
+// as given, so any string the font draws as one cell can be a glyph. Array entries keep their
+// positions (charIndices point at them): empty entries and newlines become a space.
+export function toGlyphs(charset) {
+    if (Array.isArray(charset)) return charset.map((g) => (g == null || g === '' || g === '\n' ? ' ' : String(g)));
+    return splitGraphemes(String(charset ?? '')).filter((g) => g !== '\n');
+}
+
+// Terminal columns a glyph takes: 2 for wide glyphs, 1 otherwise.
+export function glyphColumns(glyph) {
+    if (!glyph) return 1;
+    if (EMOJI_PRESENTATION.test(glyph)) return 2;
+    const cp = glyph.codePointAt(0);
+    for (const [lo, hi] of WIDE_RANGES) {
+        if (cp >= lo && cp <= hi) return 2;
+    }
+    return 1;
+}
+
+// The width x height cell glyphs of a frame, row by row. Built from `charIndices` and `charset`
+// when the frame has them (which survives any glyph); otherwise `text` is split per row.
+export function getFrameCells(frame) {
+    const { width, height, charIndices, charset } = frame;
+    const count = width * height;
+
+    if (charIndices && charset && charIndices.length === count) {
+        const glyphs = toGlyphs(charset);
+        const cells = new Array(count);
+        for (let i = 0; i < count; i++) cells[i] = glyphs[charIndices[i]] ?? ' ';
+        return cells;
+    }
+
+    const cells = [];
+    const rows = String(frame.text || '').split('\n');
+    for (let y = 0; y < height; y++) {
+        const row = splitGraphemes(rows[y] || '');
+        for (let x = 0; x < width; x++) cells.push(row[x] ?? ' ');
+    }
+    return cells;
+}
+
+// Frame text from its cells: rows of `width` glyphs, each followed by a newline.
+export function joinFrameCells(cells, width) {
+    let text = '';
+    for (let i = 0; i < cells.length; i += width) {
+        text += cells.slice(i, i + width).join('') + '\n';
+    }
+    return text;
+}
+
+// Frame text for terminals and editors: when the frame mixes wide and narrow glyphs, narrow ones
+// are padded with a space so every cell is two columns and the rows line up.
+export function getTerminalText(frame) {
+    const cells = getFrameCells(frame);
+    const columns = cells.map(glyphColumns);
+    if (!columns.includes(2) || !columns.includes(1)) return joinFrameCells(cells, frame.width);
+    return joinFrameCells(cells.map((g, i) => (columns[i] === 1 ? g + ' ' : g)), frame.width);
+}
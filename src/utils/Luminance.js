@@ -0,0 +1,44 @@
+// Luminance / lightness models for mapping sRGB pixels onto the charset. Every model takes
+// gamma-encoded 0-255 channels and returns a 0-255 value, so histograms, auto-level and
+// thresholds work the same whichever model is active.
+
+import { SRGB_TO_LINEAR, rgbToOklab } from './Palettes.js';
+
+export const LUMINANCE_MODELS = {
+    rec709: { label: 'Rec.709' },
+    rec601: { label: 'Rec.601' },
+    linear709: { label: 'Linear Rec.709' },
+    lab: { label: 'CIELAB L*' },
+    oklab: { label: 'OKLab L' },
+    max: { label: 'Max channel' },
+    average: { label: 'Average' }
+};
+
+const linearY = (r, g, b) =>
+    0.2126 * SRGB_TO_LINEAR[r] + 0.7152 * SRGB_TO_LINEAR[g] + 0.0722 * SRGB_TO_LINEAR[b];
+
+// CIE L* (0-100) from relative luminance
+function cieLightness(y) {
+    const f = y > 216 / 24389 ? Math.cbrt(y) : (24389 / 27 * y + 16) / 116;
+    return 116 * f - 16;
+}
+
+const MODELS = {
+    rec709: (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b,
+    rec601: (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b,
+    linear709: (r, g, b) => linearY(r, g, b) * 255,
+    lab: (r, g, b) => cieLightness(linearY(r, g, b)) * 2.55,
+    oklab: (r, g, b) => rgbToOklab(r, g, b)[0] * 255,
+    max: (r, g, b) => Math.max(r, g, b),
+    average: (r, g, b) => (r + g + b) / 3
+};
+
+// Models that index the linearisation table and need integer inputs.
+const TABLE_MODELS = new Set(['linear709', 'lab']);
+
+// `(r, g, b) -> 0-255` for the named model; unknown names fall back to rec709.
+export function getLuminanceFunction(model = 'rec709') {
+    if (!MODELS[model]) model = 'rec709';
+    const fn = MODELS[model];
+    return TABLE_MODELS.has(model) ? (r, g, b) => fn(r | 0, g | 0, b | 0) : fn;
+}
@@ -0,0 +1,272 @@
+// Fixed and adaptive colour palettes. Palette entries are packed 24-bit RGB integers (0xRRGGBB),
+// the same layout as 24-bit frame colours.
+
+const hex = (list) => list.map((h) => parseInt(h, 16));
+
+function buildXterm256() {
+    const colors = PALETTES.ansi16.slice();
+    const levels = [0, 95, 135, 175, 215, 255];
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 6; g++) {
+            for (let b = 0; b < 6; b++) {
+                colors.push((levels[r] << 16) | (levels[g] << 8) | levels[b]);
+            }
+        }
+    }
+    for (let i = 0; i < 24; i++) {
+        const v = 8 + i * 10;
+        colors.push((v << 16) | (v << 8) | v);
+    }
+    return colors;
+}
+
+// The full 64-colour EGA table; its default palette is the 16 CGA colours.
+function buildEga64() {
+    // 2 bits per channel (rgbRGB)
+    const levels = [0x00, 0x55, 0xAA, 0xFF];
+    const colors = [];
+    for (let r = 0; r < 4; r++) {
+        for (let g = 0; g < 4; g++) {
+            for (let b = 0; b < 4; b++) {
+                colors.push((levels[r] << 16) | (levels[g] << 8) | levels[b]);
+            }
+        }
+    }
+    return colors;
+}
+
+export const PALETTES = {
+    ansi16: hex([
+        '000000', '800000', '008000', '808000', '000080', '800080', '008080', 'c0c0c0',
+        '808080', 'ff0000', '00ff00', 'ffff00', '0000ff', 'ff00ff', '00ffff', 'ffffff'
+    ]),
+    cga: hex([
+        '000000', '0000aa', '00aa00', '00aaaa', 'aa0000', 'aa00aa', 'aa5500', 'aaaaaa',
+        '555555', '5555ff', '55ff55', '55ffff', 'ff5555', 'ff55ff', 'ffff55', 'ffffff'
+    ]),
+    gameboy: hex(['0f380f', '306230', '8bac0f', '9bbc0f']),
+    pico8: hex([
+        '000000', '1d2b53', '7e2553', '008751', 'ab5236', '5f574f', 'c2c3c7', 'fff1e8',
+        'ff004d', 'ffa300', 'ffec27', '00e436', '29adff', '83769c', 'ff77a8', 'ffccaa'
+    ])
+};
+PALETTES.xterm256 = buildXterm256();
+PALETTES.ega = PALETTES.cga.slice();
+PALETTES.ega64 = buildEga64();
+
+// Parses a user-supplied list like "#ff0000, 00ff00 #00f" into packed colours.
+export function parsePaletteHex(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(/[\s,;]+/);
+    const colors = [];
+    for (const item of list) {
+        let h = String(item).trim().replace(/^#/, '');
+        if (h.length === 3) h = h.split('').map((c) => c + c).join('');
+        if (/^[0-9a-f]{6}$/i.test(h)) colors.push(parseInt(h, 16));
+    }
+    return colors;
+}
+
+// --- OKLab (Björn Ottosson) for perceptual matching ---
+
+const srgbToLinear = (c) => {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+// srgbToLinear for whole 0-255 channel values, for per-pixel loops
+export const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, i) => srgbToLinear(i));
+const linearToSrgb = (c) => {
+    const v = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, Math.round(v * 255)));
+};
+
+export function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+export function oklabToRgb(L, a, b) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return [
+        linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    ];
+}
+
+// Returns `match(r, g, b)` -> nearest palette index in OKLab, memoised per colour.
+export function createPaletteMatcher(palette) {
+    const labs = palette.map((c) => rgbToOklab((c >> 16) & 0xFF, (c >> 8) & 0xFF, c & 0xFF));
+    const cache = new Map();
+
+    return (r, g, b) => {
+        const key = (r << 16) | (g << 8) | b;
+        const hit = cache.get(key);
+        if (hit !== undefined) return hit;
+
+        const [L, A, B] = rgbToOklab(r, g, b);
+        let best = 0;
+        let bestDist = Infinity;
+        for (let i = 0; i < labs.length; i++) {
+            const dL = L - labs[i][0], dA = A - labs[i][1], dB = B - labs[i][2];
+            const dist = dL * dL + dA * dA + dB * dB;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i;
+            }
+        }
+
+        if (cache.size > 65536) cache.clear();
+        cache.set(key, best);
+        return best;
+    };
+}
+
+// --- Adaptive palettes ---
+
+// Collects up to `maxSamples` RGB triples from an RGBA buffer, skipping pixels whose alpha is
+// below `minAlpha`.
+export function samplePixels(data, maxSamples = 16384, minAlpha = 0) {
+    const total = data.length / 4;
+    const step = Math.max(1, Math.floor(total / maxSamples));
+    const samples = [];
+    for (let i = 0; i < total; i += step) {
+        const o = i * 4;
+        if (data[o + 3] < minAlpha) continue;
+        samples.push([data[o], data[o + 1], data[o + 2]]);
+    }
+    return samples;
+}
+
+// Median cut: repeatedly splits the box with the widest channel range at its median.
+export function medianCut(samples, size) {
+    if (samples.length === 0) return [0];
+    let boxes = [samples.slice()];
+
+    const range = (box) => {
+        const min = [255, 255, 255], max = [0, 0, 0];
+        for (const p of box) {
+            for (let c = 0; c < 3; c++) {
+                if (p[c] < min[c]) min[c] = p[c];
+                if (p[c] > max[c]) max[c] = p[c];
+            }
+        }
+        const spans = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+        const channel = spans.indexOf(Math.max(...spans));
+        return { channel, span: spans[channel] };
+    };
+
+    while (boxes.length < size) {
+        let target = -1;
+        let targetScore = 0;
+        let targetChannel = 0;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].length < 2) continue;
+            const { channel, span } = range(boxes[i]);
+            const score = span * Math.sqrt(boxes[i].length);
+            if (score > targetScore) {
+                targetScore = score;
+                target = i;
+                targetChannel = channel;
+            }
+        }
+        if (target === -1) break;
+
+        const box = boxes[target].sort((a, b) => a[targetChannel] - b[targetChannel]);
+        const mid = box.length >> 1;
+        boxes.splice(target, 1, box.slice(0, mid), box.slice(mid));
+    }
+
+    return boxes.map((box) => {
+        let r = 0, g = 0, b = 0;
+        for (const p of box) { r += p[0]; g += p[1]; b += p[2]; }
+        const n = box.length || 1;
+        return (Math.round(r / n) << 16) | (Math.round(g / n) << 8) | Math.round(b / n);
+    });
+}
+
+// K-means in OKLab, seeded from median cut for stable results.
+export function kMeans(samples, size, iterations = 8) {
+    const seed = medianCut(samples, size);
+    if (samples.length === 0) return seed;
+
+    const points = samples.map((p) => rgbToOklab(p[0], p[1], p[2]));
+    let centroids = seed.map((c) => rgbToOklab((c >> 16) & 0xFF, (c >> 8) & 0xFF, c & 0xFF));
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const sums = centroids.map(() => [0, 0, 0, 0]);
+        for (const p of points) {
+            let best = 0;
+            let bestDist = Infinity;
+            for (let k = 0; k < centroids.length; k++) {
+                const c = centroids[k];
+                const d = (p[0] - c[0]) ** 2 + (p[1] - c[1]) ** 2 + (p[2] - c[2]) ** 2;
+                if (d < bestDist) { bestDist = d; best = k; }
+            }
+            const s = sums[best];
+            s[0] += p[0]; s[1] += p[1]; s[2] += p[2]; s[3]++;
+        }
+        centroids = centroids.map((c, k) => {
+            const s = sums[k];
+            return s[3] ? [s[0] / s[3], s[1] / s[3], s[2] / s[3]] : c;
+        });
+    }
+
+    return centroids.map(([L, a, b]) => {
+        const [r, g, bl] = oklabToRgb(L, a, b);
+        return (r << 16) | (g << 8) | bl;
+    });
+}
+
+// Maps a grid of packed 24-bit colours to palette indices, optionally with
+// Floyd-Steinberg error diffusion between cells. Negative entries (-1, TRANSPARENT) are left untouched.
+export function quantizeToPalette(colors, width, height, palette, dither = false) {
+    const match = createPaletteMatcher(palette);
+    const out = new Int32Array(colors.length);
+
+    if (!dither) {
+        for (let i = 0; i < colors.length; i++) {
+            const c = colors[i];
+            out[i] = c < 0 ? c : match((c >> 16) & 0xFF, (c >> 8) & 0xFF, c & 0xFF);
+        }
+        return out;
+    }
+
+    const err = new Float32Array(colors.length * 3);
+    const spread = (x, y, er, eg, eb, w) => {
+        if (x < 0 || x >= width || y >= height) return;
+        const o = (y * width + x) * 3;
+        err[o] += er * w; err[o + 1] += eg * w; err[o + 2] += eb * w;
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const c = colors[i];
+            if (c < 0) { out[i] = c; continue; }
+
+            const r = Math.max(0, Math.min(255, Math.round(((c >> 16) & 0xFF) + err[i * 3])));
+            const g = Math.max(0, Math.min(255, Math.round(((c >> 8) & 0xFF) + err[i * 3 + 1])));
+            const b = Math.max(0, Math.min(255, Math.round((c & 0xFF) + err[i * 3 + 2])));
+            const idx = match(r, g, b);
+            out[i] = idx;
+
+            const p = palette[idx];
+            const er = r - ((p >> 16) & 0xFF), eg = g - ((p >> 8) & 0xFF), eb = b - (p & 0xFF);
+            spread(x + 1, y, er, eg, eb, 7 / 16);
+            spread(x - 1, y + 1, er, eg, eb, 3 / 16);
+            spread(x, y + 1, er, eg, eb, 5 / 16);
+            spread(x + 1, y + 1, er, eg, eb, 1 / 16);
+        }
+    }
+
+    return out;
+}
@@ -0,0 +1,30 @@
+// Helpers for raw RGBA buffers ({ width, height, data } / Uint8ClampedArray).
+// Kept free of DOM APIs so they can run in Node and Web Workers.
+
+// Nearest-neighbour resample. Optional `srcRect` / `dstRect` ({ x, y, width, height }) map a
+// region of the source onto a region of the output, like the 9-argument drawImage();
+// output pixels outside `dstRect` stay transparent black.
+export function resizeNearest(data, srcW, srcH, dstW, dstH, srcRect = null, dstRect = null) {
+    const out = new Uint8ClampedArray(dstW * dstH * 4);
+    const src = srcRect || { x: 0, y: 0, width: srcW, height: srcH };
+    const dst = dstRect || { x: 0, y: 0, width: dstW, height: dstH };
+    const xRatio = src.width / dst.width;
+    const yRatio = src.height / dst.height;
+    const x0 = Math.max(0, dst.x), x1 = Math.min(dstW, dst.x + dst.width);
+    const y0 = Math.max(0, dst.y), y1 = Math.min(dstH, dst.y + dst.height);
+
+    for (let y = y0; y < y1; y++) {
+        const sy = Math.max(0, Math.min(srcH - 1, Math.floor(src.y + (y - dst.y + 0.5) * yRatio)));
+        for (let x = x0; x < x1; x++) {
+            const sx = Math.max(0, Math.min(srcW - 1, Math.floor(src.x + (x - dst.x + 0.5) * xRatio)));
+            const s = (sy * srcW + sx) * 4;
+            const d = (y * dstW + x) * 4;
+            out[d] = data[s];
+            out[d + 1] = data[s + 1];
+            out[d + 2] = data[s + 2];
+            out[d + 3] = data[s + 3];
+        }
+    }
+
+    return out;
+}
@@ -0,0 +1,54 @@
+// Render styles: how drawFrame turns a frame into pixels. A style is a plain object (so it can be
+// stored in .ascv metadata); `theme` names a preset that fills in whatever the style leaves unset.
+//
+//   fontFamily     CSS font-family list
+//   fontWeight     CSS font-weight ('normal', 'bold', 100-900)
+//   letterSpacing  Extra space between cells, in em (fraction of charSize)
+//   lineHeight     Row height as a multiple of charSize
+//   background     Canvas fill behind the grid
+//   foreground     Colour of mono cells (colour -1)
+
+import { DEFAULT_FONT_FAMILY } from './GlyphMetrics.js';
+
+export const RENDER_THEMES = {
+    classic: { label: 'Classic', background: '#000000', foreground: '#ffffff' },
+    phosphor: { label: 'Green Phosphor', background: '#020d04', foreground: '#33ff66' },
+    amber: { label: 'Amber', background: '#120a00', foreground: '#ffb000' },
+    paper: { label: 'Paper', background: '#f4f0e6', foreground: '#1b1b1b' }
+};
+
+export const RENDER_FONTS = [
+    { value: DEFAULT_FONT_FAMILY, label: 'JetBrains Mono' },
+    { value: '"Courier New", Courier, monospace', label: 'Courier New' },
+    { value: 'Menlo, Consolas, "DejaVu Sans Mono", monospace', label: 'Menlo / Consolas' },
+    { value: 'monospace', label: 'System Mono' }
+];
+
+export const DEFAULT_RENDER_STYLE = {
+    theme: 'classic',
+    fontFamily: DEFAULT_FONT_FAMILY,
+    fontWeight: 'normal',
+    letterSpacing: 0,
+    lineHeight: 1
+};
+
+// Fully populated style: defaults, then the theme, then every value the style sets explicitly.
+export function resolveRenderStyle(style) {
+    const themeName = style && RENDER_THEMES[style.theme] ? style.theme : DEFAULT_RENDER_STYLE.theme;
+    const { label, ...theme } = RENDER_THEMES[themeName];
+    const resolved = { ...DEFAULT_RENDER_STYLE, ...theme, theme: themeName };
+
+    if (style) {
+        for (const key of Object.keys(style)) {
+            if (style[key] !== null && style[key] !== undefined && key !== 'theme') resolved[key] = style[key];
+        }
+    }
+    resolved.letterSpacing = Number(resolved.letterSpacing) || 0;
+    resolved.lineHeight = Number(resolved.lineHeight) > 0 ? Number(resolved.lineHeight) : 1;
+    return resolved;
+}
+
+// CSS font shorthand for a resolved style.
+export function getStyleFont(style, charSize) {
+    return `${style.fontWeight} ${charSize}px ${style.fontFamily}`;
+}
@@ -0,0 +1,93 @@
+// Levels and tone curves as 256-entry lookup tables (0-255 in, 0-255 out).
+
+const IDENTITY_CURVE = [[0, 0], [255, 255]];
+
+export function createDefaultCurves() {
+    return {
+        master: IDENTITY_CURVE.map((p) => p.slice()),
+        r: IDENTITY_CURVE.map((p) => p.slice()),
+        g: IDENTITY_CURVE.map((p) => p.slice()),
+        b: IDENTITY_CURVE.map((p) => p.slice())
+    };
+}
+
+// True when the curve leaves every value as it is: all points on the diagonal and reaching both
+// ends (the curve is held flat beyond its outermost points).
+export function isIdentityCurve(points) {
+    if (!points || points.length === 0) return true;
+    const xs = points.map(([x]) => x);
+    return points.every(([x, y]) => x === y) && Math.min(...xs) <= 0 && Math.max(...xs) >= 255;
+}
+
+// Input black/white points and a mid-tone gamma (1 = neutral, >1 brightens mid-tones).
+export function buildLevelsLut(black = 0, white = 255, mid = 1) {
+    const lut = new Float32Array(256);
+    const range = Math.max(1, white - black);
+    const gamma = 1 / Math.max(0.01, mid);
+    for (let i = 0; i < 256; i++) {
+        const v = Math.max(0, Math.min(1, (i - black) / range));
+        lut[i] = Math.pow(v, gamma) * 255;
+    }
+    return lut;
+}
+
+// Monotone cubic (Fritsch-Carlson) through the control points, so the curve never overshoots
+// between points. Points are [x, y] pairs in 0-255; the ends are held flat outside them.
+export function buildCurveLut(points) {
+    const lut = new Float32Array(256);
+    const pts = (points && points.length > 0 ? points : IDENTITY_CURVE)
+        .map(([x, y]) => [Math.max(0, Math.min(255, x)), Math.max(0, Math.min(255, y))])
+        .sort((a, b) => a[0] - b[0])
+        .filter((p, i, arr) => i === 0 || p[0] !== arr[i - 1][0]);
+
+    if (pts.length === 1) {
+        lut.fill(pts[0][1]);
+        return lut;
+    }
+
+    const n = pts.length;
+    const dx = new Float32Array(n - 1);
+    const slope = new Float32Array(n - 1);
+    for (let i = 0; i < n - 1; i++) {
+        dx[i] = pts[i + 1][0] - pts[i][0];
+        slope[i] = (pts[i + 1][1] - pts[i][1]) / dx[i];
+    }
+
+    const tangent = new Float32Array(n);
+    tangent[0] = slope[0];
+    tangent[n - 1] = slope[n - 2];
+    for (let i = 1; i < n - 1; i++) {
+        tangent[i] = slope[i - 1] * slope[i] <= 0 ? 0 : (slope[i - 1] + slope[i]) / 2;
+    }
+    for (let i = 0; i < n - 1; i++) {
+        if (slope[i] === 0) {
+            tangent[i] = tangent[i + 1] = 0;
+            continue;
+        }
+        const a = tangent[i] / slope[i];
+        const b = tangent[i + 1] / slope[i];
+        const h = a * a + b * b;
+        if (h > 9) {
+            const t = 3 / Math.sqrt(h);
+            tangent[i] = t * a * slope[i];
+            tangent[i + 1] = t * b * slope[i];
+        }
+    }
+
+    let seg = 0;
+    for (let x = 0; x < 256; x++) {
+        if (x <= pts[0][0]) { lut[x] = pts[0][1]; continue; }
+        if (x >= pts[n - 1][0]) { lut[x] = pts[n - 1][1]; continue; }
+        while (x > pts[seg + 1][0]) seg++;
+
+        const t = (x - pts[seg][0]) / dx[seg];
+        const t2 = t * t, t3 = t2 * t;
+        const y = (2 * t3 - 3 * t2 + 1) * pts[seg][1] +
+            (t3 - 2 * t2 + t) * dx[seg] * tangent[seg] +
+            (-2 * t3 + 3 * t2) * pts[seg + 1][1] +
+            (t3 - t2) * dx[seg] * tangent[seg + 1];
+        lut[x] = Math.max(0, Math.min(255, y));
+    }
+
+    return lut;
+}